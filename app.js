@@ -12,21 +12,295 @@
 // 全局状态对象 - 存储应用程序的当前状态
 const state = {
   rows: 6,               // 当前显示的行数
-  maxRows: 30,           // 最大可显示行数
+  maxRows: 1000,         // 最大可显示行数（数值使用BigInt精确计算）
   minRows: 1,            // 最小可显示行数
   showLines: false,      // 是否显示连接线
   useCombination: false, // 杨辉三角中显示组合数符号(C_n^k)还是数字
   useNumericCoeff: false,// 二项式展开系数显示为数字还是组合数符号
   showSymmetryLine: false, // 是否显示竖直对称线
-  currentPattern: null,  // 当前显示的数学规律类型 (null, 'fibonacci', 'natural', 'triangular', 'tetrahedral')
-  showSierpinski: false,  // 是否显示谢尔宾斯三角效果
+  binomialTerms: ['a', 'b'], // 二项式展开的两项（用户输入，如 2x、-3y、x^2、1/2）
+  triangleType: 'pascal', // 数字三角形类型（TRIANGLE_TYPES 的键）
+  customRule: {          // 自定义递推规则：T(n,k) 的递推式以及左右边界 T(n,0)、T(n,n)
+    rule: '2*T(n-1,k-1) + T(n-1,k)',
+    left: '1',
+    right: '1'
+  },
+  multinomial: false,    // 三项式模式：显示杨辉金字塔 (a+b+c)^n 的第 rows-1 层
+  distributionP: 0.5,    // 二项分布图表中的成功概率 p
+  showGalton: false,     // 是否显示高尔顿板
+  galtonBalls: 200,      // 高尔顿板的小球总数
+  galtonSpeed: 5,        // 高尔顿板速度（1~10）
+  galtonP: 0.5,          // 小球在每个格子向右的概率 p
+  galtonSeed: 42,        // 随机数种子，相同的种子得到相同的结果
+  constructionSpeed: 3,  // 逐步构造每秒生成的格子数
+  showNegativeRows: false, // 是否在三角形上方显示负数行（广义二项式系数）
+  negativeRows: 5,       // 显示的负数行数
+  seriesTerms: 6,        // 无穷级数显示的项数 N
+  seriesAlpha: '1/2',    // 广义二项式级数 (1+x)^α 的指数（有理数）
+  seriesX: 0.5,          // 比较部分和与真实值时使用的 x
+  currentPattern: null,  // 当前显示的数学规律类型 (null, 'fibonacci', 'diagonal', 'hockeyStick', 'square', 'rowMax', 'power', 'paths')
+  hockeyStick: null,     // 曲棍球棒恒等式的选择：{ direction: 'down-left'|'down-right', r: 斜列序号, end: 末端行 }
+  diagonalK: 1,          // 斜列规律中的斜列序号k（1:自然数，2:三角数，3:四面体数……）
+  diagonalSide: 'left',  // 斜列方向：'left' 为第k列（平行于左边），'right' 为倒数第k列（平行于右边）
+  powerBase: 10,         // 乘方规律使用的进制 b（每行按b进制读数得到 (b+1)^n）
+  maxPowerBase: 16,      // 乘方规律进制上限
+  powerRow: null,        // 乘方规律中逐步展示进位的行（null 表示自动选择第一个出现进位的行）
+  pathTarget: null,      // 格路计数的终点 [n, k]（null 表示尚未选择）
+  pathRank: 0n,          // 当前演示的路径在字典序中的序号（BigInt，路径数可能非常大）
+  pathPageSize: 8,       // 路径列表每页显示的条数
+  maxSquareDots: 20,     // 方形结构只为 n 不超过该值的配对画出 n×n 点阵，更大的只画方框
+  showSierpinski: false,  // 是否显示谢尔宾斯三角效果（按模 modulus 的余数着色）
+  modulus: 2,            // 余数着色的模数 m（m=2 即经典谢尔宾斯三角）
+  maxModulus: 12,        // 模数上限，与styles.css中的余数配色数量一致
+  showLucas: false,      // 点击格子时是否显示卢卡斯定理分解
+  lucasPrime: 2,         // 卢卡斯定理使用的素数 p
+  maxLucasPrime: 997,    // 卢卡斯素数上限（不小于它的素数在最大行数内只有一个块）
+  showValuation: false,  // 是否显示p进赋值热力图（库默尔定理）
+  valuationPrime: 2,     // p进赋值使用的素数 p
+  maxValuationLevel: 6,  // 热力图的最高色阶，赋值不小于该值的格子使用同一颜色
   showRowSums: false,    // 是否显示行连接和总和
-  showPrimes: false      // 是否显示素数高亮
+  showPrimes: false,     // 是否显示素数高亮
+  canvasThreshold: 40,   // 行数超过该值时自动切换到画布渲染后端
+  locale: 'zh-CN'        // 界面语言（LOCALES 的键，同时决定组合数的记号）
 };
 
 // DOM元素引用对象 - 缓存常用的DOM元素引用，提高性能
 const el = {};
 
+// 当前渲染结果 - 供覆盖层和画布后端共用的数据与布局
+const view = {
+  triangle: [],           // 当前杨辉三角数据
+  canvasActive: false,    // 当前是否使用画布后端
+  layout: null,           // 画布后端的坐标布局
+  offsetX: 0,             // 画布内容相对外层容器的偏移（已扣除滚动）
+  offsetY: 0,
+  cellClasses: new Map(), // 画布后端单元格附加的样式类（key: "n,k"）
+  primeCache: new Map(),  // 素数判断结果缓存（key: "n,k"）
+  cssColors: new Map(),   // 画布配色缓存（读取自CSS变量）
+  repaintPending: false,  // 是否已安排画布重绘
+  permalinkReady: false,  // 是否已从链接恢复完毕（此前不改写地址栏）
+  fibonacciSums: null,     // 斐波那契对角线的数字之和（随三角形数据缓存）
+  exportAllRows: false,    // 导出图片期间为true：画布后端的覆盖层按全部行绘制
+  focusCell: [0, 0]       // 键盘焦点所在的格子 [n, k]（网格中只有这个格子可以用Tab键到达）
+};
+
+// 方向键对应的移动 [Δn, Δk]：与一般网格相同，左右键在同一行内移动，上下键在同一列中移到上一行或下一行
+const GRID_KEY_MOVES = {
+  ArrowLeft: [0, -1],   // 同一行的前一项 (n, k-1)
+  ArrowRight: [0, 1],   // 同一行的后一项 (n, k+1)
+  ArrowUp: [-1, 0],     // 上一行同一列，即右上父项 (n-1, k)
+  ArrowDown: [1, 0]     // 下一行同一列，即左下子项 (n+1, k)
+};
+
+// 写入链接（地址栏 # 之后）的状态字段：[参数名, state中的键, 类型]，与默认值相同的字段省略
+const PERMALINK_FIELDS = [
+  ['rows', 'rows', 'int'],
+  ['lines', 'showLines', 'bool'],
+  ['notation', 'useCombination', 'bool'],
+  ['coeff', 'useNumericCoeff', 'bool'],
+  ['pattern', 'currentPattern', 'string'],
+  ['sierpinski', 'showSierpinski', 'bool'],
+  ['rowSums', 'showRowSums', 'bool'],
+  ['primes', 'showPrimes', 'bool'],
+  ['symmetry', 'showSymmetryLine', 'bool'],
+  ['modulus', 'modulus', 'int'],
+  ['lucas', 'showLucas', 'bool'],
+  ['lucasP', 'lucasPrime', 'int'],
+  ['valuation', 'showValuation', 'bool'],
+  ['valuationP', 'valuationPrime', 'int'],
+  ['diagonalK', 'diagonalK', 'int'],
+  ['diagonalSide', 'diagonalSide', 'string'],
+  ['powerBase', 'powerBase', 'int'],
+  ['type', 'triangleType', 'string'],
+  ['multinomial', 'multinomial', 'bool'],
+  ['negative', 'showNegativeRows', 'bool'],
+  ['galton', 'showGalton', 'bool'],
+  ['distP', 'distributionP', 'float']
+];
+
+// 链接中各字段的默认值（页面加载时的初始状态）
+const STATE_DEFAULTS = {
+  ...Object.fromEntries(PERMALINK_FIELDS.map(([, key]) => [key, state[key]])),
+  binomialTerms: [...state.binomialTerms],
+  customRule: { ...state.customRule }
+};
+
+// 只保存在本地（不写入链接）的偏好设置及其有效性检查
+const PREFERENCE_FIELDS = {
+  constructionSpeed: v => Number.isInteger(v) && v >= 1 && v <= 10,
+  galtonSpeed: v => Number.isInteger(v) && v >= 1 && v <= 10,
+  galtonBalls: v => Number.isInteger(v) && v >= 1 && v <= 10000,
+  galtonP: v => typeof v === 'number' && v >= 0 && v <= 1,
+  galtonSeed: v => Number.isInteger(v),
+  seriesAlpha: v => typeof v === 'string' && !!parseBinomialTerm(v) && parseBinomialTerm(v).vars.length === 0,
+  seriesTerms: v => Number.isInteger(v) && v >= 1 && v <= 30,
+  seriesX: v => Number.isFinite(v)
+};
+const PREFERENCE_DEFAULTS = Object.fromEntries(Object.keys(PREFERENCE_FIELDS).map(key => [key, state[key]]));
+
+// 本地存储的键与数据格式版本（格式变化时提高版本号，旧数据将被忽略）
+const SESSION_STORAGE_KEY = 'pascal-triangle-session';
+const PRESETS_STORAGE_KEY = 'pascal-triangle-presets';
+const STORAGE_VERSION = 1;
+// 界面语言单独保存，重置视图时不受影响
+const LOCALE_STORAGE_KEY = 'pascal-triangle-locale';
+
+// 可以写入链接的数学规律类型
+const PATTERN_TYPES = ['fibonacci', 'diagonal', 'hockeyStick', 'square', 'rowMax', 'power', 'paths'];
+
+// 斜列k对应图形数的高亮样式（名称与几何含义见词典的 diagonalSequences，未列出的k统一称为k-单纯形数）
+const DIAGONAL_SEQUENCES = {
+  0: { highlight: 'diagonal' },
+  1: { highlight: 'natural' },
+  2: { highlight: 'triangular' },
+  3: { highlight: 'tetrahedral' },
+  4: { highlight: 'diagonal' }
+};
+
+// 高尔顿板运行状态
+const galton = {
+  running: false,   // 是否正在运行
+  row: 0,           // 小球最终落入的行（箱子位于该行下方）
+  counts: [],       // 每个箱子中的小球数
+  exact: [],        // 每个箱子的精确概率（重置时由该行的组合数算出）
+  dropped: 0,       // 已放出的小球数
+  landed: 0,        // 已落入箱子的小球数
+  balls: [],        // 正在下落的小球：{ path: 每一行所在的列, t: 已经过的行数（可为小数） }
+  rng: null,        // 带种子的随机数生成器
+  lastTime: 0,      // 上一帧的时间戳
+  spawnTimer: 0     // 距上次放球经过的时间
+};
+
+// 逐步构造播放器的运行状态（按行从左到右依次生成每个格子）
+const construction = {
+  active: false,    // 是否处于构造过程中（此时未生成的格子被隐藏）
+  playing: false,   // 是否正在自动播放
+  cells: [],        // 构造顺序：[n, k] 列表
+  index: 0,         // 已生成的格子数
+  timer: null       // 自动播放的定时器
+};
+
+// 数字三角形类型：每种类型由行长度、边界值与递推关系定义
+// value(n, k, T) 计算第n行第k个数（T(n,k) 取已计算的数，超出范围为0）；
+// parents(n, k) 返回递推所用的格子及系数（用于连接线和点击信息，系数为LaTeX前缀，'-'表示相减）
+// 名称与说明从词典读取，含组合数的公式随界面语言选择记号，所以这些字段写成 getter
+const TRIANGLE_TYPES = {
+  pascal: {
+    get name() { return t('types.pascal.name'); },
+    get description() { return t('types.pascal.description'); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => (k === 0 || k === n) ? 1n : T(n - 1, k - 1) + T(n - 1, k),
+    parents: (n, k) => (k === 0 || k === n) ? [] : [{ n: n - 1, k: k - 1, coeff: '' }, { n: n - 1, k, coeff: '' }],
+    notation: (n, k) => ({ latex: binomLatex(n, k), text: `C(${n},${k})` }),
+    get definition() { return `${binomLatex('n', 'k')} = \\frac{n!}{k!(n-k)!}`; },
+    rowSum: { get latex() { return `\\sum_{k=0}^{n} ${binomLatex('n', 'k')} = 2^n`; }, label: n => `2^${n}`, get description() { return t('types.pascal.rowSum'); } }
+  },
+  catalan: {
+    get name() { return t('types.catalan.name'); },
+    get description() { return t('types.catalan.description'); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => k === 0 ? 1n : (k === n ? T(n, k - 1) : T(n, k - 1) + T(n - 1, k)),
+    parents: (n, k) => k === 0 ? [] : (k === n
+      ? [{ n, k: k - 1, coeff: '' }]
+      : [{ n, k: k - 1, coeff: '' }, { n: n - 1, k, coeff: '' }]),
+    notation: (n, k) => ({ latex: `\\mathrm{Cat}(${n},${k})`, text: `Cat(${n},${k})` }),
+    definition: '\\mathrm{Cat}(n,k) = \\frac{(n+k)!\\,(n-k+1)}{k!\\,(n+1)!}',
+    rowSum: { get latex() { return `\\sum_{k=0}^{n} \\mathrm{Cat}(n,k) = C_{n+1} = \\frac{1}{n+2}${binomLatex('2n+2', 'n+1')}`; }, label: n => `C_${n + 1}`, get description() { return t('types.catalan.rowSum'); } }
+  },
+  stirling1: {
+    get name() { return t('types.stirling1.name'); },
+    get description() { return t('types.stirling1.description'); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => n === k ? 1n : (k === 0 ? 0n : T(n - 1, k - 1) + BigInt(n - 1) * T(n - 1, k)),
+    parents: (n, k) => (n === k || k === 0) ? [] : [{ n: n - 1, k: k - 1, coeff: '' }, { n: n - 1, k, coeff: `${n - 1} \\cdot ` }],
+    notation: (n, k) => ({ latex: `\\genfrac{[}{]}{0pt}{}{${n}}{${k}}`, text: `c(${n},${k})` }),
+    definition: '\\genfrac{[}{]}{0pt}{}{n}{k} = \\genfrac{[}{]}{0pt}{}{n-1}{k-1} + (n-1)\\genfrac{[}{]}{0pt}{}{n-1}{k}',
+    rowSum: { latex: '\\sum_{k=0}^{n} \\genfrac{[}{]}{0pt}{}{n}{k} = n!', label: n => `${n}!`, get description() { return t('types.stirling1.rowSum'); } }
+  },
+  stirling2: {
+    get name() { return t('types.stirling2.name'); },
+    get description() { return t('types.stirling2.description'); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => n === k ? 1n : (k === 0 ? 0n : T(n - 1, k - 1) + BigInt(k) * T(n - 1, k)),
+    parents: (n, k) => (n === k || k === 0) ? [] : [{ n: n - 1, k: k - 1, coeff: '' }, { n: n - 1, k, coeff: `${k} \\cdot ` }],
+    notation: (n, k) => ({ latex: `\\genfrac{\\{}{\\}}{0pt}{}{${n}}{${k}}`, text: `S(${n},${k})` }),
+    definition: '\\genfrac{\\{}{\\}}{0pt}{}{n}{k} = \\genfrac{\\{}{\\}}{0pt}{}{n-1}{k-1} + k\\genfrac{\\{}{\\}}{0pt}{}{n-1}{k}',
+    rowSum: { latex: '\\sum_{k=0}^{n} \\genfrac{\\{}{\\}}{0pt}{}{n}{k} = B_n', label: n => `B_${n}`, get description() { return t('types.stirling2.rowSum'); } }
+  },
+  eulerian: {
+    get name() { return t('types.eulerian.name'); },
+    get description() { return t('types.eulerian.description'); },
+    rowLength: n => Math.max(n, 1),
+    value: (n, k, T) => (k === 0 || k === n - 1 || n === 0) ? 1n : BigInt(k + 1) * T(n - 1, k) + BigInt(n - k) * T(n - 1, k - 1),
+    parents: (n, k) => (k === 0 || k === n - 1 || n === 0) ? [] : [{ n: n - 1, k: k - 1, coeff: `${n - k} \\cdot ` }, { n: n - 1, k, coeff: `${k + 1} \\cdot ` }],
+    notation: (n, k) => ({ latex: `\\genfrac{\\langle}{\\rangle}{0pt}{}{${n}}{${k}}`, text: `A(${n},${k})` }),
+    definition: '\\genfrac{\\langle}{\\rangle}{0pt}{}{n}{k} = (k+1)\\genfrac{\\langle}{\\rangle}{0pt}{}{n-1}{k} + (n-k)\\genfrac{\\langle}{\\rangle}{0pt}{}{n-1}{k-1}',
+    rowSum: { latex: '\\sum_{k} \\genfrac{\\langle}{\\rangle}{0pt}{}{n}{k} = n!', label: n => `${n}!`, get description() { return t('types.eulerian.rowSum'); } }
+  },
+  narayana: {
+    get name() { return t('types.narayana.name'); },
+    get description() { return t('types.narayana.description'); },
+    rowLength: n => n + 1,
+    // N(m,j+1) = N(m,j)·(m-j)(m-j+1) / (j(j+1))，其中 m = n+1，j = k；乘积一定能整除
+    value: (n, k, T) => k === 0 ? 1n : T(n, k - 1) * BigInt((n + 1 - k) * (n + 2 - k)) / BigInt(k * (k + 1)),
+    parents: (n, k) => k === 0 ? [] : [{ n, k: k - 1, coeff: `${fractionToLatex(makeFraction(BigInt((n + 1 - k) * (n + 2 - k)), BigInt(k * (k + 1))))} \\cdot ` }],
+    notation: (n, k) => ({ latex: `N(${n + 1},${k + 1})`, text: `N(${n + 1},${k + 1})` }),
+    get definition() { return `N(m,j) = \\frac{1}{m} ${binomLatex('m', 'j')} ${binomLatex('m', 'j-1')}`; },
+    rowSum: { latex: '\\sum_{j=1}^{m} N(m,j) = C_m', label: n => `C_${n + 1}`, get description() { return t('types.narayana.rowSum'); } }
+  },
+  leibniz: {
+    get name() { return t('types.leibniz.name'); },
+    get description() { return t('types.leibniz.description'); },
+    fractional: true,
+    rowLength: n => n + 1,
+    value: (n, k, T) => k === 0 ? makeFraction(1n, BigInt(n + 1)) : subtractFraction(T(n - 1, k - 1), T(n, k - 1)),
+    parents: (n, k) => k === 0 ? [] : [{ n: n - 1, k: k - 1, coeff: '' }, { n, k: k - 1, coeff: '-' }],
+    notation: (n, k) => ({ latex: `L(${n},${k})`, text: `L(${n},${k})` }),
+    get definition() { return `L(n,k) = \\frac{1}{(n+1)\\,${binomLatex('n', 'k')}}`; },
+    rowSum: { latex: 'L(n,k) = L(n+1,k) + L(n+1,k+1)', label: null, get description() { return t('types.leibniz.rowSum'); } }
+  },
+  bell: {
+    get name() { return t('types.bell.name'); },
+    get description() { return t('types.bell.description'); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => n === 0 ? 1n : (k === 0 ? T(n - 1, n - 1) : T(n, k - 1) + T(n - 1, k - 1)),
+    parents: (n, k) => n === 0 ? [] : (k === 0
+      ? [{ n: n - 1, k: n - 1, coeff: '' }]
+      : [{ n, k: k - 1, coeff: '' }, { n: n - 1, k: k - 1, coeff: '' }]),
+    notation: (n, k) => ({ latex: `\\mathcal{B}(${n},${k})`, text: `B(${n},${k})` }),
+    definition: '\\mathcal{B}(n,0) = B_n,\\quad \\mathcal{B}(n,n) = B_{n+1}',
+    rowSum: { latex: '\\mathcal{B}(n,0) = B_n', label: null, get description() { return t('types.bell.rowSum'); } }
+  },
+  trinomial: {
+    get name() { return t('types.trinomial.name'); },
+    get description() { return t('types.trinomial.description'); },
+    rowLength: n => 2 * n + 1,
+    value: (n, k, T) => n === 0 ? 1n : T(n - 1, k - 2) + T(n - 1, k - 1) + T(n - 1, k),
+    parents: (n, k) => n === 0 ? [] : [k - 2, k - 1, k]
+      .filter(pk => pk >= 0 && pk <= 2 * (n - 1))
+      .map(pk => ({ n: n - 1, k: pk, coeff: '' })),
+    notation: (n, k) => ({ latex: `\\binom{${n}}{${k}}_{2}`, text: `T(${n},${k})` }),
+    definition: '(1+x+x^2)^n = \\sum_{k=0}^{2n} \\binom{n}{k}_{2} x^k',
+    rowSum: { latex: '\\sum_{k=0}^{2n} \\binom{n}{k}_{2} = 3^n', label: n => `3^${n}`, get description() { return t('types.trinomial.rowSum'); } }
+  }
+};
+
+// 画布后端中样式类对应的填充颜色，按优先级排列（与styles.css中的配色一致）
+const CANVAS_CELL_COLORS = [
+  ['highlight-fibonacci', '#e91e63'],
+  ['highlight-natural', '#2196f3'],
+  ['highlight-triangular', '#4caf50'],
+  ['highlight-tetrahedral', '#9c27b0'],
+  ['highlight-diagonal', '#ff9800'],
+  ['highlight-square', '#009688'],
+  ['highlight-max', '#7c3aed'],
+  ['highlight-carry', '#ef4444'],
+  ['highlight-path', '#0ea5e9'],
+  ['hockey-blade', '#e67e22'],
+  ['hockey-stick', '#16a085'],
+  ['rounded-square', '#ec4899']
+];
+
 /**
  * 初始化入口函数
  * 功能：获取DOM元素引用，绑定事件监听，设置初始状态并渲染界面
@@ -46,6 +320,81 @@ function init() {
   el.naturalBtn = document.getElementById('natural-btn');
   el.triangularBtn = document.getElementById('triangular-btn');
   el.tetrahedralBtn = document.getElementById('tetrahedral-btn');
+  // 斜列规律探索：斜列序号、方向与显示按钮
+  el.diagonalKInput = document.getElementById('diagonal-k-input');
+  el.diagonalSideSelect = document.getElementById('diagonal-side-select');
+  el.diagonalBtn = document.getElementById('diagonal-btn');
+  // 曲棍球棒恒等式按钮
+  el.hockeyStickBtn = document.getElementById('hockey-stick-btn');
+  // 方形结构按钮
+  el.squareBtn = document.getElementById('square-btn');
+  // 二项式展开的两项输入框
+  el.termAInput = document.getElementById('term-a-input');
+  el.termBInput = document.getElementById('term-b-input');
+  // 数字三角形类型选择框
+  el.triangleTypeSelect = document.getElementById('triangle-type-select');
+  // 自定义递推规则编辑器
+  el.customRuleEditor = document.getElementById('custom-rule-editor');
+  el.customRuleInput = document.getElementById('custom-rule-input');
+  el.customLeftInput = document.getElementById('custom-left-input');
+  el.customRightInput = document.getElementById('custom-right-input');
+  el.customApplyBtn = document.getElementById('custom-apply-btn');
+  // 三项式模式（杨辉金字塔）按钮
+  el.togglePyramidBtn = document.getElementById('toggle-pyramid');
+  el.pyramidPrevBtn = document.getElementById('pyramid-prev-btn');
+  el.pyramidNextBtn = document.getElementById('pyramid-next-btn');
+  el.pyramidLayerLabel = document.getElementById('pyramid-layer-label');
+  // 二项分布图表
+  el.distributionPanel = document.getElementById('distribution-panel');
+  el.distributionPInput = document.getElementById('distribution-p-input');
+  el.distributionPLabel = document.getElementById('distribution-p-label');
+  el.distributionContent = document.getElementById('distribution-content');
+  // 高尔顿板
+  el.toggleGaltonBtn = document.getElementById('toggle-galton');
+  el.galtonPanel = document.getElementById('galton-panel');
+  el.galtonStartBtn = document.getElementById('galton-start-btn');
+  el.galtonResetBtn = document.getElementById('galton-reset-btn');
+  el.galtonSpeedInput = document.getElementById('galton-speed-input');
+  el.galtonCountInput = document.getElementById('galton-count-input');
+  el.galtonPInput = document.getElementById('galton-p-input');
+  el.galtonSeedInput = document.getElementById('galton-seed-input');
+  el.galtonChart = document.getElementById('galton-chart');
+  // 逐步构造播放器
+  el.buildPlayBtn = document.getElementById('build-play-btn');
+  el.buildBackBtn = document.getElementById('build-back-btn');
+  el.buildForwardBtn = document.getElementById('build-forward-btn');
+  el.buildStopBtn = document.getElementById('build-stop-btn');
+  el.buildSpeedInput = document.getElementById('build-speed-input');
+  el.buildRowInput = document.getElementById('build-row-input');
+  el.buildRowLabel = document.getElementById('build-row-label');
+  // 视图预设
+  el.presetSelect = document.getElementById('preset-select');
+  el.presetLoadBtn = document.getElementById('preset-load-btn');
+  el.presetDeleteBtn = document.getElementById('preset-delete-btn');
+  el.presetNameInput = document.getElementById('preset-name-input');
+  el.presetSaveBtn = document.getElementById('preset-save-btn');
+  // 图片导出
+  el.exportSvgBtn = document.getElementById('export-svg-btn');
+  el.exportPngBtn = document.getElementById('export-png-btn');
+  el.exportScaleInput = document.getElementById('export-scale-input');
+  // 数据导出与复制展开式
+  el.dataFormatSelect = document.getElementById('data-format-select');
+  el.exportDataBtn = document.getElementById('export-data-btn');
+  el.copyExpansionBtn = document.getElementById('copy-expansion-btn');
+  el.gridAnnouncer = document.getElementById('grid-announcer');   // 屏幕阅读器播报区域
+  // 负数行切换按钮与广义二项式级数输入
+  el.toggleNegativeBtn = document.getElementById('toggle-negative');
+  el.seriesAlphaInput = document.getElementById('series-alpha-input');
+  el.seriesTermsInput = document.getElementById('series-terms-input');
+  el.seriesXInput = document.getElementById('series-x-input');
+  el.seriesBtn = document.getElementById('series-btn');
+  el.seriesContent = document.getElementById('series-content');
+  // 最大数规律按钮
+  el.rowMaxBtn = document.getElementById('row-max-btn');
+  // 乘方规律按钮与进制输入框
+  el.powerBtn = document.getElementById('power-btn');
+  el.powerBaseInput = document.getElementById('power-base-input');
+  el.pathsBtn = document.getElementById('paths-btn');
   el.clearPatternBtn = document.getElementById('clear-pattern-btn');
   // 数学规律展示面板
   el.patternInfoPanel = document.getElementById('pattern-info-panel');
@@ -53,18 +402,40 @@ function init() {
   el.toggleSymmetryBtn = document.getElementById('toggle-symmetry');
   // 谢尔宾斯三角按钮
   el.toggleSierpinskiBtn = document.getElementById('toggle-sierpinski');
+  // 余数着色模数输入框
+  el.modulusInput = document.getElementById('modulus-input');
+  // 卢卡斯定理面板、按钮与素数输入框
+  el.lucasPanel = document.getElementById('lucas-panel');
+  el.lucasContent = document.getElementById('lucas-content');
+  el.toggleLucasBtn = document.getElementById('toggle-lucas');
+  el.lucasPrimeInput = document.getElementById('lucas-prime-input');
+  // p进赋值热力图按钮与素数输入框
+  el.toggleValuationBtn = document.getElementById('toggle-valuation');
+  el.valuationPrimeInput = document.getElementById('valuation-prime-input');
   
   // 行总和按钮
   el.toggleRowSumsBtn = document.getElementById('toggle-row-sums');
   
   // 素数高亮按钮
   el.togglePrimesBtn = document.getElementById('toggle-primes');
+  // 界面语言选择框
+  el.localeSelect = document.getElementById('locale-select');
 
   // 执行初始化操作
+  state.locale = detectLocale();  // 选择界面语言并替换页面中的静态文字
+  el.localeSelect.value = state.locale;
+  applyStaticTranslations();
   bindEvents();                   // 绑定事件监听
   el.rowsInput.value = state.rows; // 设置初始行数
   updateToggleButtons();          // 更新按钮文字
-  render();                       // 首次渲染杨辉三角
+  // 注册默认的自定义递推规则
+  TRIANGLE_TYPES.custom = buildCustomTriangleType(state.customRule.rule, state.customRule.left, state.customRule.right);
+  // 恢复上次的会话：链接优先，没有链接时使用本地保存的视图
+  const session = readStorage(SESSION_STORAGE_KEY);
+  if (session) applyPreferences(session.preferences);
+  renderPresetOptions();
+  restoreFromPermalink(location.hash || (session ? `#${session.view}` : ''));  // 恢复状态并首次渲染杨辉三角
+  renderGeneralizedSeries();      // 显示广义二项式级数
 }
 
 /**
@@ -80,46 +451,44 @@ function bindEvents() {
     state.showSierpinski = false;
     state.showRowSums = false;
     state.showPrimes = false;
+    state.showValuation = false;
     
     // 根据传入的功能类型激活对应功能
     if (featureType === 'symmetry') {
       state.showSymmetryLine = true;
     } else if (featureType === 'sierpinski') {
       state.showSierpinski = true;
+      // 显示余数着色信息
+      if (el.infoContent) {
+        el.infoContent.innerHTML = t('info.sierpinski', { m: state.modulus });
+      }
     } else if (featureType === 'rowSums') {
       state.showRowSums = true;
       // 显示行总和信息
-      if (el.infoContent && el.patternInfoPanel) {
-        el.infoContent.innerHTML = '杨辉三角中第n行所有数字的和等于2的n次方。例如：第3行的和是8，即2^3。';
-        // 先渲染LaTeX公式
-        const rowSumFormula = katex.renderToString('\\\\sum_{k=0}^{n} C(n,k) = 2^n', { throwOnError: false, displayMode: true });
-        el.patternInfoPanel.innerHTML = `
-          <div class="pattern-header rowSums-pattern">
-            <h3>行总和</h3>
-          </div>
-          <div class="pattern-content">
-            <p class="pattern-description">杨辉三角中第n行所有数字的和等于2的n次方。</p>
-            <div class="pattern-formula">
-              <p>${rowSumFormula}</p>
-            </div>
-            <p class="pattern-example">例如：第0行和为1=2^0，第1行和为2=2^1，第2行和为4=2^2，第3行和为8=2^3...</p>
-          </div>
-        `;
+      if (el.infoContent) {
+        el.infoContent.innerHTML = state.multinomial ? t('info.pyramidRowSums', { layer: state.rows - 1 }) : t('info.rowSums');
       }
     } else if (featureType === 'primes') {
       state.showPrimes = true;
       // 显示素数信息
-      if (el.infoContent && el.patternInfoPanel) {
-        el.infoContent.innerHTML = '素数是指大于1的自然数，且只能被1和它本身整除的数。';
-        updatePatternInfoPanel('prime');
+      if (el.infoContent) {
+        el.infoContent.innerHTML = t('info.primes');
+      }
+    } else if (featureType === 'valuation') {
+      state.showValuation = true;
+      useBinomialTriangle(); // 库默尔定理只适用于二项式系数
+      // 显示p进赋值信息
+      if (el.infoContent) {
+        el.infoContent.innerHTML = t('info.valuation', { p: state.valuationPrime });
       }
     } else if (featureType) {
-      // 如果是数学规律类型
+      // 如果是数学规律类型（均基于二项式系数，退出三项式模式）
       state.currentPattern = featureType;
+      useBinomialTriangle();
     } else {
       // 如果取消所有功能，清空信息面板
       if (el.infoContent && el.patternInfoPanel) {
-        el.infoContent.innerHTML = '<p>点击杨辉三角中的元素查看详细信息</p>';
+        el.infoContent.innerHTML = `<p>${t('info.clickCell')}</p>`;
         el.patternInfoPanel.innerHTML = '';
       }
     }
@@ -128,14 +497,7 @@ function bindEvents() {
     updateToggleButtons();
     updatePatternButtons();
     
-    // 更新信息面板
-    if (state.currentPattern) {//如果当前有数学规律类型
-      updatePatternInfoPanel(state.currentPattern);//更新数学规律展示面板
-    } else if (el.patternInfoPanel) {//清除规律
-      el.patternInfoPanel.innerHTML = '';//清除规律展示面板内容
-    }
-    
-    // 重新渲染
+    // 重新渲染（同时更新信息面板）
     render();
   }
 
@@ -148,11 +510,6 @@ function bindEvents() {
       } else {
         activateFeature('symmetry');
       }
-      
-      // 更新按钮文字
-      el.toggleSymmetryBtn.innerHTML = state.showSymmetryLine
-          ? '<i class="fas fa-vertical-align-center"></i> 隐藏竖直对称线'
-          : '<i class="fas fa-vertical-align-center"></i> 显示竖直对称线';
     };
   }
 
@@ -174,11 +531,82 @@ function bindEvents() {
       } else {
         activateFeature('sierpinski');
       }
-      
-      // 更新按钮文字
-      el.toggleSierpinskiBtn.innerHTML = state.showSierpinski
-          ? '<i class="fas fa-caret-down"></i> 隐藏谢尔宾斯三角'
-          : '<i class="fas fa-caret-down"></i> 显示谢尔宾斯三角';
+    };
+  }
+
+  // 修改余数着色的模数
+  if (el.modulusInput) {
+    el.modulusInput.onchange = () => {
+      const m = parseInt(el.modulusInput.value, 10);
+      // 输入无效时恢复为当前模数
+      if (isNaN(m) || m < 2 || m > state.maxModulus) {
+        el.modulusInput.value = state.modulus;
+        return;
+      }
+      state.modulus = m;
+      if (state.showSierpinski) render();
+      updatePermalink();
+    };
+  }
+
+  // 切换卢卡斯定理面板
+  if (el.toggleLucasBtn) {
+    el.toggleLucasBtn.onclick = () => {
+      state.showLucas = !state.showLucas;
+      el.lucasPanel.hidden = !state.showLucas;
+      updateToggleButtons();
+      if (state.showLucas && el.lastClicked && el.lastClicked[0] >= 0 && isBinomialView()) {
+        showLucasExplanation(...el.lastClicked);
+      } else {
+        clearLucasBlock();
+      }
+      updatePermalink();
+    };
+  }
+
+  // 切换p进赋值热力图
+  if (el.toggleValuationBtn) {
+    el.toggleValuationBtn.onclick = () => {
+      // 如果已经是激活状态，则取消激活；否则激活并关闭其他功能
+      if (state.showValuation) {
+        activateFeature(null);
+      } else {
+        activateFeature('valuation');
+      }
+    };
+  }
+
+  // 修改p进赋值使用的素数
+  if (el.valuationPrimeInput) {
+    el.valuationPrimeInput.onchange = () => {
+      const p = parseInt(el.valuationPrimeInput.value, 10);
+      // 只接受素数，否则恢复为当前素数
+      if (isNaN(p) || !isPrime(p)) {
+        el.valuationPrimeInput.value = state.valuationPrime;
+        return;
+      }
+      state.valuationPrime = p;
+      if (state.showValuation) render();
+      updatePermalink();
+    };
+  }
+
+  // 修改卢卡斯定理使用的素数
+  if (el.lucasPrimeInput) {
+    el.lucasPrimeInput.onchange = () => {
+      const p = parseInt(el.lucasPrimeInput.value, 10);
+      // 只接受素数，否则提示并恢复为当前素数
+      if (isNaN(p) || !isPrime(p) || p > state.maxLucasPrime) {
+        const message = isNaN(p) || !isPrime(p)
+          ? t('lucas.notPrime', { value: el.lucasPrimeInput.value })
+          : t('lucas.tooLarge', { value: p, max: state.maxLucasPrime });
+        el.lucasContent.innerHTML = `<p class="lucas-error">${message}</p>`;
+        el.lucasPrimeInput.value = state.lucasPrime;
+        return;
+      }
+      state.lucasPrime = p;
+      if (state.showLucas && el.lastClicked && el.lastClicked[0] >= 0 && isBinomialView()) showLucasExplanation(...el.lastClicked);
+      updatePermalink();
     };
   }
 
@@ -191,30 +619,110 @@ function bindEvents() {
     }
   };
   
-  el.naturalBtn.onclick = () => {
-    if (state.currentPattern === 'natural') {
+  el.squareBtn.onclick = () => {
+    if (state.currentPattern === 'square') {
+      activateFeature(null);
+    } else {
+      activateFeature('square');
+    }
+  };
+  
+  el.rowMaxBtn.onclick = () => {
+    if (state.currentPattern === 'rowMax') {
+      activateFeature(null);
+    } else {
+      activateFeature('rowMax');
+    }
+  };
+  
+  el.powerBtn.onclick = () => {
+    if (state.currentPattern === 'power') {
       activateFeature(null);
     } else {
-      activateFeature('natural');
+      state.powerRow = null;
+      activateFeature('power');
     }
   };
   
-  el.triangularBtn.onclick = () => {
-    if (state.currentPattern === 'triangular') {
+  el.pathsBtn.onclick = () => {
+    if (state.currentPattern === 'paths') {
       activateFeature(null);
     } else {
-      activateFeature('triangular');
+      activateFeature('paths');
     }
   };
   
-  el.tetrahedralBtn.onclick = () => {
-    if (state.currentPattern === 'tetrahedral') {
+  el.powerBaseInput.onchange = () => {
+    const b = parseInt(el.powerBaseInput.value, 10);
+    // 输入无效时恢复为当前进制
+    if (isNaN(b) || b < 2 || b > state.maxPowerBase) {
+      el.powerBaseInput.value = state.powerBase;
+      return;
+    }
+    state.powerBase = b;
+    state.powerRow = null;
+    if (state.currentPattern === 'power') render();
+    updatePermalink();
+  };
+  
+  // 自然数、三角数、四面体数按钮是斜列规律的预设（k = 1, 2, 3）
+  [[el.naturalBtn, 1], [el.triangularBtn, 2], [el.tetrahedralBtn, 3]].forEach(([btn, k]) => {
+    btn.onclick = () => {
+      if (isDiagonalPresetActive(k)) {
+        activateFeature(null);
+      } else {
+        state.diagonalK = k;
+        state.diagonalSide = 'left';
+        el.diagonalKInput.value = k;
+        el.diagonalSideSelect.value = 'left';
+        activateFeature('diagonal');
+      }
+    };
+  });
+  
+  // 显示任意斜列
+  el.diagonalBtn.onclick = () => {
+    const k = parseInt(el.diagonalKInput.value, 10);
+    // 斜列序号必须在当前行数范围内
+    if (isNaN(k) || k < 0 || k >= state.rows) {
+      el.diagonalKInput.value = state.diagonalK;
+      return;
+    }
+    state.diagonalK = k;
+    state.diagonalSide = el.diagonalSideSelect.value === 'right' ? 'right' : 'left';
+    activateFeature('diagonal');
+  };
+  
+  // 曲棍球棒恒等式演示模式
+  el.hockeyStickBtn.onclick = () => {
+    if (state.currentPattern === 'hockeyStick') {
       activateFeature(null);
     } else {
-      activateFeature('tetrahedral');
+      state.hockeyStick = null;
+      activateFeature('hockeyStick');
     }
   };
   
+  // 在曲棍球棒模式下沿斜列拖动选择
+  let hockeyDragStart = null;
+  el.triangleContainer.addEventListener('pointerdown', event => {
+    if (state.currentPattern !== 'hockeyStick') return;
+    const hit = getCellFromPointer(event);
+    // 只能从三角形的边上开始拖动
+    if (!hit || (hit.k !== 0 && hit.k !== hit.n)) return;
+    event.preventDefault();
+    hockeyDragStart = hit;
+    updateHockeyStick(hit, hit);
+  });
+  el.triangleContainer.addEventListener('pointermove', event => {
+    if (!hockeyDragStart) return;
+    const hit = getCellFromPointer(event);
+    if (hit) updateHockeyStick(hockeyDragStart, hit);
+  });
+  window.addEventListener('pointerup', () => {
+    hockeyDragStart = null;
+  });
+  
   // 修复清除规律按钮，现在可以清除所有特殊功能
   el.clearPatternBtn.onclick = () => {
     activateFeature(null);
@@ -239,6 +747,43 @@ function bindEvents() {
     }
   };
 
+  // 逐步构造：播放 / 暂停
+  el.buildPlayBtn.onclick = () => {
+    if (construction.playing) {
+      pauseConstruction();
+    } else if (construction.active || startConstruction()) {
+      playConstruction();
+    }
+  };
+  
+  el.buildForwardBtn.onclick = () => {
+    if (!construction.active && !startConstruction()) return;
+    pauseConstruction();
+    stepConstruction(1);
+  };
+  
+  el.buildBackBtn.onclick = () => {
+    pauseConstruction();
+    stepConstruction(-1);
+  };
+  
+  // 直接完成构造，得到与 render() 相同的结果
+  el.buildStopBtn.onclick = () => render();
+  
+  el.buildSpeedInput.oninput = () => {
+    state.constructionSpeed = parseInt(el.buildSpeedInput.value, 10);
+    saveSession();
+  };
+  
+  // 拖动到某一行：该行及以上的格子全部生成
+  el.buildRowInput.oninput = () => {
+    const row = parseInt(el.buildRowInput.value, 10);
+    if (!construction.active && !startConstruction()) return;
+    pauseConstruction();
+    const next = construction.cells.findIndex(([n]) => n > row);
+    showConstructionStep(next === -1 ? construction.cells.length : next);
+  };
+  
   // 减少行数
   document.getElementById('remove-row').onclick = () => {
     if (state.rows > state.minRows) {
@@ -248,27 +793,83 @@ function bindEvents() {
     }
   };
 
-  // 重置按钮
+  // 重置按钮：所有状态恢复为默认值，并清除本地保存的会话（视图预设保留）
   document.getElementById('reset-btn').onclick = () => {
-    // 重置所有状态到初始值
-    state.rows = 6;
-    state.showLines = false;
-    state.useCombination = false;
-    state.useNumericCoeff = false;
-    state.currentPattern = null;
-    state.showSierpinski = false;
-    state.showRowSums = false;
-    state.showPrimes = false;
-    
-    el.rowsInput.value = state.rows;
-    updateToggleButtons();
-    updatePatternButtons();
-    el.expansionContent.innerHTML = '点击上方的数字查看公式';
-    el.infoContent.innerHTML = '<p>点击杨辉三角中的元素查看详细信息</p>';
+    Object.assign(state, PREFERENCE_DEFAULTS);
+    state.customRule = { ...STATE_DEFAULTS.customRule };
+    TRIANGLE_TYPES.custom = buildCustomTriangleType(state.customRule.rule, state.customRule.left, state.customRule.right);
+    state.powerRow = null;
+    state.pathTarget = null;
+    state.pathRank = 0n;
     if (el.patternInfoPanel) {
       el.patternInfoPanel.innerHTML = '';
     }
-    render();
+    history.pushState(null, '', location.pathname + location.search);
+    restoreFromPermalink('');
+    renderGeneralizedSeries();
+    clearSession();
+  };
+  
+  // 导出为SVG或按倍数栅格化为PNG
+  el.exportSvgBtn.onclick = () => {
+    downloadFile('pascal-triangle.svg', buildExportSvg().markup, 'image/svg+xml');
+  };
+  
+  el.exportPngBtn.onclick = () => {
+    const scale = parseFloat(el.exportScaleInput.value);
+    if (isNaN(scale) || scale <= 0 || scale > 8) {
+      el.exportScaleInput.value = 2;
+      return;
+    }
+    exportPng(scale);
+  };
+  
+  // 按选择的格式导出当前三角形的数据
+  el.exportDataBtn.onclick = () => {
+    const format = DATA_EXPORT_FORMATS[el.dataFormatSelect.value];
+    if (!format) return;
+    downloadFile(`pascal-triangle.${format.extension}`, format.build(), format.type);
+  };
+  
+  // 复制展开面板中公式的LaTeX源码
+  el.copyExpansionBtn.onclick = () => {
+    if (!el.expansionLatex) return;
+    copyToClipboard(el.expansionLatex, ok => {
+      el.copyExpansionBtn.textContent = t(ok ? 'buttons.copied' : 'buttons.copyFailed');
+      setTimeout(() => { el.copyExpansionBtn.textContent = t('buttons.copyLatex'); }, 1500);
+    });
+  };
+  
+  // 切换界面语言
+  el.localeSelect.onchange = () => setLocale(el.localeSelect.value);
+  
+  // 视图预设：保存、载入与删除
+  el.presetSaveBtn.onclick = () => {
+    const name = el.presetNameInput.value.trim();
+    if (!name) {
+      el.presetNameInput.classList.add('input-error');
+      return;
+    }
+    el.presetNameInput.classList.remove('input-error');
+    const presets = readPresets();
+    presets[name] = serializeState();
+    writeStorage(PRESETS_STORAGE_KEY, { presets });
+    el.presetNameInput.value = '';
+    renderPresetOptions(name);
+  };
+  
+  el.presetLoadBtn.onclick = () => {
+    const hash = readPresets()[el.presetSelect.value];
+    if (hash === undefined) return;
+    history.pushState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+    restoreFromPermalink();
+  };
+  
+  el.presetDeleteBtn.onclick = () => {
+    const presets = readPresets();
+    delete presets[el.presetSelect.value];
+    writeStorage(PRESETS_STORAGE_KEY, { presets });
+    renderPresetOptions();
   };
 
   // 切换连接线显示
@@ -291,6 +892,162 @@ function bindEvents() {
     updateToggleButtons();
     // 如果之前有点击过的单元格，重新触发点击事件以更新显示
     if(el.lastClicked) onCellClick(...el.lastClicked);
+    renderGeneralizedSeries();
+    updatePermalink();
+  };
+  
+  // 修改二项式的两项，输入无法解析时恢复为原来的值
+  [el.termAInput, el.termBInput].forEach((input, index) => {
+    input.onchange = () => {
+      if (!parseBinomialTerm(input.value)) {
+        input.value = state.binomialTerms[index];
+        input.classList.add('input-error');
+        return;
+      }
+      input.classList.remove('input-error');
+      state.binomialTerms[index] = input.value.trim();
+      if (el.lastClicked) onCellClick(...el.lastClicked);
+      updatePermalink();
+    };
+  });
+  
+  // 切换三项式模式（杨辉金字塔），二项式专属的规律随之关闭
+  el.togglePyramidBtn.onclick = () => {
+    const enable = !state.multinomial;
+    if (enable) activateFeature(null);
+    useBinomialTriangle();
+    state.multinomial = enable;
+    el.lastClicked = null;
+    clearLucasBlock();
+    showExpansion(null);
+    updateToggleButtons();
+    render();
+  };
+  
+  // 切换数字三角形类型，二项式专属的规律随之关闭
+  el.triangleTypeSelect.onchange = () => {
+    const typeKey = el.triangleTypeSelect.value;
+    el.customRuleEditor.hidden = typeKey !== 'custom';
+    // 自定义类型先按编辑器中的规则生成，解析失败时保持原类型
+    if (typeKey === 'custom' && !applyCustomRule()) {
+      el.triangleTypeSelect.value = state.triangleType;
+      return;
+    }
+    if (!TRIANGLE_TYPES[typeKey]) {
+      el.triangleTypeSelect.value = state.triangleType;
+      return;
+    }
+    if (typeKey !== 'pascal') activateFeature(null);
+    state.multinomial = false;
+    state.triangleType = typeKey;
+    el.lastClicked = null;
+    clearLucasBlock();
+    showExpansion(null);
+    updateToggleButtons();
+    render();
+  };
+  
+  // 应用自定义递推规则
+  el.customApplyBtn.onclick = () => {
+    if (!applyCustomRule()) return;
+    el.triangleTypeSelect.value = 'custom';
+    el.triangleTypeSelect.onchange();
+  };
+  
+  // 逐层浏览：第n层有 n+1 行，与行数联动
+  [[el.pyramidPrevBtn, -1], [el.pyramidNextBtn, 1]].forEach(([btn, delta]) => {
+    btn.onclick = () => {
+      const rows = state.rows + delta;
+      if (rows < state.minRows || rows > state.maxRows) return;
+      state.rows = rows;
+      el.rowsInput.value = rows;
+      render();
+    };
+  });
+  
+  // 调整二项分布的 p，重新绘制当前行的分布图
+  el.distributionPInput.oninput = () => {
+    state.distributionP = parseFloat(el.distributionPInput.value);
+    el.distributionPLabel.textContent = state.distributionP.toFixed(2);
+    if (el.distributionRow !== undefined) renderDistributionChart(el.distributionRow);
+    updatePermalink();
+  };
+  
+  // 切换高尔顿板（小球按杨辉三角的格子下落，需要普通杨辉三角）
+  el.toggleGaltonBtn.onclick = () => {
+    state.showGalton = !state.showGalton;
+    el.galtonPanel.hidden = !state.showGalton;
+    galton.running = false;
+    if (state.showGalton && !isBinomialView()) {
+      useBinomialTriangle();
+      render();
+    }
+    resetGalton();
+    updateToggleButtons();
+    drawOverlays();
+    updatePermalink();
+  };
+  
+  el.galtonStartBtn.onclick = () => toggleGaltonRun();
+  el.galtonResetBtn.onclick = () => {
+    resetGalton();
+    drawOverlays();
+  };
+  
+  // 速度可以在运行中调整；小球数、p 与种子改变后重新开始
+  el.galtonSpeedInput.oninput = () => {
+    state.galtonSpeed = parseInt(el.galtonSpeedInput.value, 10);
+    saveSession();
+  };
+  [
+    [el.galtonCountInput, 'galtonBalls', v => Number.isInteger(v) && v >= 1 && v <= 10000],
+    [el.galtonPInput, 'galtonP', v => v >= 0 && v <= 1],
+    [el.galtonSeedInput, 'galtonSeed', v => Number.isInteger(v)]
+  ].forEach(([input, key, isValid]) => {
+    input.onchange = () => {
+      const v = parseFloat(input.value);
+      // 输入无效时恢复为当前值
+      if (isNaN(v) || !isValid(v)) {
+        input.value = state[key];
+        return;
+      }
+      state[key] = v;
+      resetGalton();
+      drawOverlays();
+      saveSession();
+    };
+  });
+  
+  // 切换负数行（牛顿广义二项式定理）
+  el.toggleNegativeBtn.onclick = () => {
+    state.showNegativeRows = !state.showNegativeRows;
+    updateToggleButtons();
+    render();
+  };
+  
+  // 展开 (1+x)^α，输入无效时恢复为原来的值
+  el.seriesBtn.onclick = () => {
+    const alphaTerm = parseBinomialTerm(el.seriesAlphaInput.value);
+    const terms = parseInt(el.seriesTermsInput.value, 10);
+    const x = parseFloat(el.seriesXInput.value);
+    if (!alphaTerm || alphaTerm.vars.length > 0) {
+      el.seriesAlphaInput.value = state.seriesAlpha;
+    } else {
+      state.seriesAlpha = el.seriesAlphaInput.value.trim();
+    }
+    if (isNaN(terms) || terms < 1 || terms > 30) {
+      el.seriesTermsInput.value = state.seriesTerms;
+    } else {
+      state.seriesTerms = terms;
+    }
+    if (isNaN(x)) {
+      el.seriesXInput.value = state.seriesX;
+    } else {
+      state.seriesX = x;
+    }
+    renderGeneralizedSeries();
+    if (el.lastClicked && el.lastClicked[0] < 0) onCellClick(...el.lastClicked);
+    saveSession();
   };
   
   // 切换行连接和总和显示
@@ -319,774 +1076,4688 @@ function bindEvents() {
     };
   }
 
-  // 窗口大小变化时更新连接线（使用防抖函数优化性能）
+  // 窗口大小变化时重新布局并更新覆盖层（使用防抖函数优化性能）
   window.addEventListener('resize', debounce(() => {
-    if (state.showLines) drawConnections();
+    if (view.canvasActive) {
+      render();
+    } else {
+      drawOverlays();
+    }
   }, 120));
 
-  // 滚动时更新连接线（使用防抖函数优化性能）
-  document.getElementById('triangle-wrapper').addEventListener('scroll', debounce(() => {
-    if (state.showLines) drawConnections();
-  }, 80));
+  // 浏览器前进/后退时按链接恢复对应的状态
+  window.addEventListener('popstate', () => restoreFromPermalink());
+
+  // 键盘导航：方向键按行列移动，Home/End 移到行首/行尾，Enter 或空格相当于点击
+  el.triangleContainer.addEventListener('keydown', event => {
+    const move = GRID_KEY_MOVES[event.key];
+    const [n, k] = view.focusCell;
+    if (move) {
+      event.preventDefault();
+      moveGridFocus(n + move[0], k + move[1]);
+    } else if (event.key === 'Home' || event.key === 'End') {
+      event.preventDefault();
+      moveGridFocus(n, event.key === 'Home' ? 0 : view.triangle[n].length - 1);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      activateGridCell(n, k);
+    }
+  });
+  
+  // 鼠标点击或Tab键使格子获得焦点时，同步键盘焦点位置
+  el.triangleContainer.addEventListener('focusin', event => {
+    // 画布后端由容器接收焦点，此时画出焦点圈
+    if (view.canvasActive) {
+      const focused = getCell(...view.focusCell);
+      if (focused) focused.classList.add('keyboard-focus');
+      return;
+    }
+    const cell = event.target.closest('.pascal-number');
+    if (!cell || cell.classList.contains('generalized-cell')) return;
+    const n = Number(cell.dataset.n);
+    const k = Number(cell.dataset.k);
+    if (n !== view.focusCell[0] || k !== view.focusCell[1]) moveGridFocus(n, k, false);
+  });
+  
+  // 画布后端失去焦点时去掉焦点圈
+  el.triangleContainer.addEventListener('focusout', () => {
+    if (!view.canvasActive) return;
+    const focused = getCell(...view.focusCell);
+    if (focused) focused.classList.remove('keyboard-focus');
+  });
+
+  // 滚动时重绘画布可见区域，并更新覆盖层（使用防抖函数优化性能）
+  const redrawOverlaysOnScroll = debounce(drawOverlays, 80);
+  el.triangleContainer.addEventListener('scroll', () => {
+    if (view.canvasActive) scheduleCanvasRepaint();
+    redrawOverlaysOnScroll();
+  });
 }
 
 /**
- * 检查一个数是否为素数
- * @param {number} num - 要检查的数字
- * @returns {boolean} - 如果是素数返回true，否则返回false
+ * 把当前状态和最后点击的格子写成链接参数（省略与默认值相同的字段）
+ * @returns {string} 不含 # 的查询字符串
  */
-function isPrime(num) {
-  // 特殊情况处理
-  if (num <= 1) return false;
-  if (num <= 3) return true;
-  if (num % 2 === 0 || num % 3 === 0) return false;
-  
-  // 只需检查到sqrt(num)，并且可以跳过偶数和3的倍数
-  const sqrtNum = Math.sqrt(num);
-  for (let i = 5; i <= sqrtNum; i += 6) {
-    if (num % i === 0 || num % (i + 2) === 0) return false;
+function serializeState() {
+  const params = new URLSearchParams();
+  PERMALINK_FIELDS.forEach(([name, key, type]) => {
+    const value = state[key];
+    if (value === STATE_DEFAULTS[key]) return;
+    params.set(name, type === 'bool' ? (value ? '1' : '0') : String(value));
+  });
+  if (state.binomialTerms.join(',') !== STATE_DEFAULTS.binomialTerms.join(',')) {
+    params.set('terms', state.binomialTerms.join(','));
   }
-  return true;
+  if (state.triangleType === 'custom') {
+    params.set('rule', state.customRule.rule);
+    params.set('left', state.customRule.left);
+    params.set('right', state.customRule.right);
+  }
+  if (state.currentPattern === 'hockeyStick' && state.hockeyStick) {
+    const { direction, r, end } = state.hockeyStick;
+    params.set('hockey', `${direction},${r},${end}`);
+  }
+  if (el.lastClicked && isRestorableCell(el.lastClicked[0], el.lastClicked[1])) {
+    params.set('cell', `${el.lastClicked[0]},${el.lastClicked[1]}`);
+    if (state.currentPattern === 'paths' && state.pathRank > 0n) params.set('path', state.pathRank.toString());
+  }
+  // 逗号不需要转义，保留原样以便阅读
+  return params.toString().replace(/%2C/g, ',');
 }
 
-/**计算组合数 C(n,k)
- * 
- * @param {number} n - 总数
- * @param {number} k - 选取个数
- * @returns {number} - 组合数结果
+/**
+ * 检查链接中的字段值是否有效
+ * @param {string} key - state中的键
+ * @param {*} value - 解析后的值
+ * @returns {boolean}
  */
-function combination(n, k) {
-  // 特殊情况处理：C(n,0) = C(n,n) = 1
-  if (k === 0 || k === n) return 1;
-  
-  let result = 1;
-  // 使用迭代方式计算组合数，避免大数运算和递归
-  for (let i = 1; i <= k; i++) {
-    result = result * (n - i + 1) / i;
+function isValidPermalinkValue(key, value) {
+  switch (key) {
+    case 'rows':
+      return Number.isInteger(value) && value >= state.minRows && value <= state.maxRows;
+    case 'modulus':
+      return Number.isInteger(value) && value >= 2 && value <= state.maxModulus;
+    case 'lucasPrime':
+      return Number.isInteger(value) && isPrime(value) && value <= state.maxLucasPrime;
+    case 'valuationPrime':
+      return Number.isInteger(value) && isPrime(value);
+    case 'diagonalK':
+      // rows 在字段列表中排在前面，此时已经恢复
+      return Number.isInteger(value) && value >= 0 && value < state.rows;
+    case 'diagonalSide':
+      return value === 'left' || value === 'right';
+    case 'powerBase':
+      return Number.isInteger(value) && value >= 2 && value <= state.maxPowerBase;
+    case 'triangleType':
+      return Object.prototype.hasOwnProperty.call(TRIANGLE_TYPES, value);
+    case 'currentPattern':
+      return PATTERN_TYPES.includes(value);
+    case 'distributionP':
+      return Number.isFinite(value) && value >= 0 && value <= 1;
+    default:
+      return typeof value === 'boolean';
   }
-  return result;
 }
 
-/**生成杨辉三角数据
- * 
- * @param {number} rows - 要生成的行数
- * @returns {Array<Array<number>>} - 二维数组，包含杨辉三角的数值数据
+/**
+ * 格子是否存在于当前渲染结果中（负数行只在显示时存在，画布后端不绘制负数行）
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {boolean}
  */
-function generatePascalTriangle(rows) {
-  const triangle = [];
-  
-  // 逐行生成杨辉三角数据
-  for (let n = 0; n < rows; n++) {
-    triangle[n] = [];
-    for (let k = 0; k <= n; k++) {
-      triangle[n][k] = combination(n, k);
-    }
+function isRestorableCell(n, k) {
+  if (!Number.isInteger(n) || !Number.isInteger(k) || k < 0) return false;
+  if (n < 0) {
+    return state.showNegativeRows && state.rows <= state.canvasThreshold && isBinomialView() &&
+      -n <= state.negativeRows && k < state.seriesTerms;
   }
-  
-  return triangle;
+  return n < view.triangle.length && k < view.triangle[n].length;
 }
 
-/**生成二项式展开的LaTeX字符串
- * 
- * @param {number} row - 杨辉三角的行数，对应二项式的幂次
- * @returns {string} - 二项式展开的LaTeX表达式
+/**
+ * 按链接参数设置状态：先恢复默认值，再逐个应用有效的字段，无效的字段忽略
+ * @param {string} hash - 地址栏中 # 之后的内容（可带 #）
+ * @returns {{cell: Array<number>|null, pathRank: bigint}} 需要在渲染后恢复的点击格子与路径序号
  */
-function showBinomialExpansion(row) {
-  let expansion = `(a+b)^{${row}} = `;
+function applyPermalink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
   
-  // 生成每一项的表达式
-  for (let k = 0; k <= row; k++) {
-    if (k > 0) expansion += " + "; // 项之间添加加号
-    
-    const coeff = combination(row, k);
-    // 根据状态选择显示数字系数还是组合数符号
-    if (state.useNumericCoeff) {
-      // 系数为1时省略不显示
-      if (coeff !== 1) expansion += `${coeff}`;
-    } else {
-      expansion += `C_{${row}}^{${k}}`;
-    }
-    
-    // 添加a的幂次
-    const aExp = row - k;
-    if (aExp > 0) {
-      expansion += `a${aExp > 1 ? `^{${aExp}}` : ''}`; // 指数为1时省略
+  PERMALINK_FIELDS.forEach(([name, key, type]) => {
+    state[key] = STATE_DEFAULTS[key];
+    if (!params.has(name)) return;
+    const raw = params.get(name);
+    const value = type === 'bool' ? raw === '1'
+      : type === 'int' ? Number(raw)
+      : type === 'float' ? parseFloat(raw)
+      : raw;
+    if (isValidPermalinkValue(key, value)) state[key] = value;
+  });
+  
+  // 二项式的两项
+  state.binomialTerms = [...STATE_DEFAULTS.binomialTerms];
+  const terms = (params.get('terms') || '').split(',');
+  if (terms.length === 2 && terms.every(term => parseBinomialTerm(term))) state.binomialTerms = terms;
+  
+  // 自定义递推规则：无法解析或计算时退回杨辉三角
+  if (state.triangleType === 'custom' && params.has('rule')) {
+    const rule = { rule: params.get('rule'), left: params.get('left') || '1', right: params.get('right') || '1' };
+    try {
+      TRIANGLE_TYPES.custom = buildCustomTriangleType(rule.rule, rule.left, rule.right);
+      generateRuleTriangle('custom', state.rows);
+      state.customRule = rule;
+    } catch (err) {
+      TRIANGLE_TYPES.custom = buildCustomTriangleType(state.customRule.rule, state.customRule.left, state.customRule.right);
+      state.triangleType = 'pascal';
     }
-    
-    // 添加b的幂次
-    const bExp = k;
-    if (bExp > 0) {
-      expansion += `b${bExp > 1 ? `^{${bExp}}` : ''}`; // 指数为1时省略
+  }
+  
+  // 规律、热力图与高尔顿板只适用于普通杨辉三角
+  if (!isBinomialView()) {
+    state.currentPattern = null;
+    state.showValuation = false;
+    state.showGalton = false;
+  }
+  
+  // 曲棍球棒的选择：方向、斜列序号、末端行
+  state.hockeyStick = null;
+  const hockey = (params.get('hockey') || '').split(',');
+  if (state.currentPattern === 'hockeyStick' && hockey.length === 3) {
+    const [direction, r, end] = [hockey[0], Number(hockey[1]), Number(hockey[2])];
+    if ((direction === 'down-left' || direction === 'down-right') && Number.isInteger(r) && Number.isInteger(end) &&
+        r >= 0 && end >= r && end < state.rows) {
+      state.hockeyStick = { direction, r, end };
     }
   }
   
-  return expansion;
+  const cell = (params.get('cell') || '').split(',').map(Number);
+  let pathRank = 0n;
+  try {
+    pathRank = BigInt(params.get('path') || '0');
+  } catch (err) {
+    // 序号不是整数时从第一条路径开始
+  }
+  return { cell: cell.length === 2 ? cell : null, pathRank };
 }
 
 /**
- * 渲染杨辉三角到页面
- * 功能：清空容器，生成并创建DOM元素，应用样式，并根据状态显示连接线和斜列规律
+ * 使控件（输入框、选择框、按钮文字和面板）与状态一致
  */
-function render() {
-  // 清空容器
-  console.log('开始渲染杨辉三角，行数:', state.rows);
-  el.triangleContainer.innerHTML = '';
-  clearSVG();
+function syncControls() {
+  el.rowsInput.value = state.rows;
+  el.termAInput.value = state.binomialTerms[0];
+  el.termBInput.value = state.binomialTerms[1];
+  el.triangleTypeSelect.value = state.triangleType;
+  el.customRuleEditor.hidden = state.triangleType !== 'custom';
+  el.customRuleInput.value = state.customRule.rule;
+  el.customLeftInput.value = state.customRule.left;
+  el.customRightInput.value = state.customRule.right;
+  el.modulusInput.value = state.modulus;
+  el.lucasPrimeInput.value = state.lucasPrime;
+  el.valuationPrimeInput.value = state.valuationPrime;
+  el.diagonalKInput.value = state.diagonalK;
+  el.diagonalSideSelect.value = state.diagonalSide;
+  el.powerBaseInput.value = state.powerBase;
+  el.distributionPInput.value = state.distributionP;
+  el.distributionPLabel.textContent = state.distributionP.toFixed(2);
+  el.buildSpeedInput.value = state.constructionSpeed;
+  el.galtonSpeedInput.value = state.galtonSpeed;
+  el.galtonCountInput.value = state.galtonBalls;
+  el.galtonPInput.value = state.galtonP;
+  el.galtonSeedInput.value = state.galtonSeed;
+  el.seriesAlphaInput.value = state.seriesAlpha;
+  el.seriesTermsInput.value = state.seriesTerms;
+  el.seriesXInput.value = state.seriesX;
+  el.lucasPanel.hidden = !state.showLucas;
+  el.galtonPanel.hidden = !state.showGalton;
+  updateToggleButtons();
+  updatePatternButtons();
+}
+
+/**
+ * 按链接恢复状态、重新渲染并恢复点击的格子
+ * 链接无法解析时使用默认设置；恢复完成后把地址栏改写为规范形式（不新增历史记录）
+ * @param {string} [hash=location.hash] - 要恢复的链接参数
+ */
+function restoreFromPermalink(hash = location.hash) {
+  view.permalinkReady = false;
+  let restored;
+  try {
+    restored = applyPermalink(hash);
+  } catch (err) {
+    restored = applyPermalink('');
+  }
   
-  // 生成杨辉三角数据
-  const triangle = generatePascalTriangle(state.rows);
+  el.lastClicked = null;
+  showExpansion(null);
+  el.infoContent.innerHTML = `<p>${t('info.clickCell')}</p>`;
+  clearLucasBlock();
+  syncControls();
+  galton.running = false;
+  render();
+  // 精确概率取自新生成的三角形数据，所以在渲染之后重置
+  resetGalton();
   
-  // 逐行创建DOM元素
-  triangle.forEach((row, n) => {
-    const lineEl = document.createElement('div');
-    lineEl.className = 'pascal-line';
-    
-    // 创建行标签
-    const label = document.createElement('div');
-    label.className = 'row-label';
-    label.textContent = `第 ${n} 行`;
-    lineEl.appendChild(label);
-    
-    // 创建行内容容器
+  const { cell, pathRank } = restored;
+  if (cell && isRestorableCell(cell[0], cell[1])) {
+    const [n, k] = cell;
+    onCellClick(n, k, n < 0 ? combination(n, k) : view.triangle[n][k]);
+    if (state.currentPattern === 'paths' && pathRank > 0n) selectLatticePath(pathRank);
+  }
+  
+  view.permalinkReady = true;
+  const canonical = serializeState();
+  history.replaceState(null, '', canonical ? `#${canonical}` : location.pathname + location.search);
+  saveSession();
+}
+
+/**
+ * 状态变化后把链接写入地址栏，并新增一条历史记录以便前进/后退
+ */
+function updatePermalink() {
+  if (!view.permalinkReady) return;
+  saveSession();
+  const hash = serializeState();
+  if (hash === location.hash.replace(/^#/, '')) return;
+  history.pushState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+}
+
+/**
+ * 读取本地存储中的数据，版本不符、无法解析或存储不可用时返回null
+ * @param {string} key - 存储键
+ * @returns {Object|null}
+ */
+function readStorage(key) {
+  try {
+    const data = JSON.parse(localStorage.getItem(key));
+    return data && data.version === STORAGE_VERSION ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * 写入本地存储（附带版本号），存储不可用或已满时忽略
+ * @param {string} key - 存储键
+ * @param {Object} data - 要保存的数据
+ */
+function writeStorage(key, data) {
+  try {
+    localStorage.setItem(key, JSON.stringify({ version: STORAGE_VERSION, ...data }));
+  } catch (err) {
+    // 存储不可用或已满时不保存
+  }
+}
+
+/**
+ * 保存当前会话：视图（与链接相同的参数）和偏好设置
+ */
+function saveSession() {
+  writeStorage(SESSION_STORAGE_KEY, {
+    view: serializeState(),
+    preferences: Object.fromEntries(Object.keys(PREFERENCE_FIELDS).map(key => [key, state[key]]))
+  });
+}
+
+/**
+ * 清除本地保存的会话
+ */
+function clearSession() {
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (err) {
+    // 存储不可用时无需清除
+  }
+}
+
+/**
+ * 应用保存的偏好设置，无效的值忽略
+ * @param {Object} preferences - 偏好设置
+ */
+function applyPreferences(preferences) {
+  if (!preferences) return;
+  Object.entries(PREFERENCE_FIELDS).forEach(([key, isValid]) => {
+    if (isValid(preferences[key])) state[key] = preferences[key];
+  });
+}
+
+/**
+ * 读取保存的视图预设
+ * @returns {Object<string, string>} 预设名称到链接参数的映射
+ */
+function readPresets() {
+  const data = readStorage(PRESETS_STORAGE_KEY);
+  return data && data.presets ? data.presets : {};
+}
+
+/**
+ * 更新预设选择框
+ * @param {string} [selected] - 要选中的预设名称
+ */
+function renderPresetOptions(selected) {
+  const names = Object.keys(readPresets());
+  el.presetSelect.innerHTML = names.length === 0 ? `<option value="">${t('presets.empty')}</option>` : '';
+  // 预设名称由用户输入，使用 textContent 避免被当作HTML解析
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    el.presetSelect.appendChild(option);
+  });
+  if (selected !== undefined) el.presetSelect.value = selected;
+  el.presetLoadBtn.disabled = names.length === 0;
+  el.presetDeleteBtn.disabled = names.length === 0;
+}
+
+/**
+ * 选择界面语言：优先使用保存的选择，否则按浏览器语言（中文为 zh-CN，其他语言为 en）
+ * @returns {string} LOCALES 的键
+ */
+function detectLocale() {
+  const saved = readStorage(LOCALE_STORAGE_KEY);
+  if (saved && LOCALES[saved.locale]) return saved.locale;
+  return /^zh/i.test(navigator.language || '') ? 'zh-CN' : 'en';
+}
+
+/**
+ * 取当前界面语言的词条，{name} 形式的占位符用参数替换
+ * 词条也可以是接收参数对象的函数；当前语言缺少的词条使用中文，仍然没有时返回键本身
+ * @param {string} key - 以点分隔的词条路径，如 'buttons.showLines'
+ * @param {Object} [params={}] - 占位符参数
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const lookup = locale => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), LOCALES[locale]);
+  let entry = lookup(state.locale);
+  if (entry === undefined) entry = lookup('zh-CN');
+  if (entry === undefined) return key;
+  if (typeof entry === 'function') return entry(params);
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * 组合数的LaTeX记号，随界面语言变化：中文为 C_n^k，英文为 \binom{n}{k}
+ * @param {number|string} n - 总数（可以是LaTeX片段，如 'n+1'）
+ * @param {number|string} k - 选取数
+ * @returns {string}
+ */
+function binomLatex(n, k) {
+  return t('notation.binomial', { n, k });
+}
+
+/**
+ * 把当前语言的文字写入页面中的静态元素：data-i18n 替换文字，
+ * data-i18n-title / data-i18n-placeholder / data-i18n-aria-label 替换对应属性
+ */
+function applyStaticTranslations() {
+  document.documentElement.lang = state.locale;
+  document.title = t('page.title');
+  document.querySelectorAll('[data-i18n]').forEach(node => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  [['data-i18n-title', 'title'], ['data-i18n-placeholder', 'placeholder'], ['data-i18n-aria-label', 'aria-label']].forEach(([source, target]) => {
+    document.querySelectorAll(`[${source}]`).forEach(node => node.setAttribute(target, t(node.getAttribute(source))));
+  });
+}
+
+/**
+ * 切换界面语言并保存选择
+ * 静态文字立即替换；动态内容按当前链接参数重新恢复（与打开链接时相同），所选格子与路径随之以新语言重新显示
+ * @param {string} locale - LOCALES 的键
+ */
+function setLocale(locale) {
+  if (!LOCALES[locale]) return;
+  state.locale = locale;
+  writeStorage(LOCALE_STORAGE_KEY, { locale });
+  el.localeSelect.value = locale;
+  applyStaticTranslations();
+  renderPresetOptions(el.presetSelect.value);
+  restoreFromPermalink(serializeState());
+  renderGeneralizedSeries();
+}
+
+// 导出图片时写入覆盖层元素的样式属性（使SVG不依赖外部CSS）
+const EXPORT_STYLE_PROPS = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'font-size', 'font-weight', 'text-anchor'
+];
+
+/**
+ * 生成独立的SVG：白色背景、所有格子（形状、颜色与数值或组合数符号）以及当前覆盖层
+ * 画布后端的覆盖层平时只绘制可见的行，导出时临时按全部行重绘一次
+ * @returns {{markup: string, width: number, height: number}} SVG文本与尺寸
+ */
+function buildExportSvg() {
+  const ns = "http://www.w3.org/2000/svg";
+  const root = document.createElementNS(ns, 'svg');
+  const cells = document.createElementNS(ns, 'g');
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const extend = (x, y) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  };
+  
+  view.triangle.forEach((row, n) => {
+    row.forEach((value, k) => {
+      const geometry = getCellGeometry(n, k);
+      if (!geometry) return;
+      const { x, y } = geometry;
+      const r = Math.min(geometry.width, geometry.height) / 2 || 32;
+      const classes = getCellClassList(n, k);
+      extend(x - r * 1.2, y - r * 1.2);
+      extend(x + r * 1.2, y + r * 1.2);
+      
+      const shape = createExportCellShape(x, y, r, classes);
+      shape.setAttribute('fill', getCellFillColor(classes));
+      cells.appendChild(shape);
+      
+      // 文本超出格子时缩小字号（按等宽估计宽度）
+      const label = state.useCombination ? getCellNotation(n, k).text : formatValueText(value);
+      const fontSize = Math.min(r * 0.64, r * 1.8 / (label.length * 0.6));
+      const text = document.createElementNS(ns, 'text');
+      text.setAttribute('x', x);
+      text.setAttribute('y', (y + fontSize * 0.35).toFixed(1));
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('font-size', fontSize.toFixed(1));
+      text.setAttribute('font-weight', 'bold');
+      text.setAttribute('fill', 'white');
+      text.textContent = label;
+      cells.appendChild(text);
+    });
+  });
+  
+  // 覆盖层：复制 #connections-svg 的内容，并把样式类对应的样式写成属性
+  if (view.canvasActive) {
+    view.exportAllRows = true;
+    drawOverlays();
+  }
+  const overlay = document.createElementNS(ns, 'g');
+  Array.from(el.svg.childNodes).forEach(node => {
+    const clone = node.cloneNode(true);
+    if (node.nodeType === 1) inlineExportStyles(node, clone);
+    overlay.appendChild(clone);
+  });
+  if (view.canvasActive) {
+    view.exportAllRows = false;
+    drawOverlays();
+  }
+  overlay.querySelectorAll('*').forEach(node => {
+    const fontSize = parseFloat(node.getAttribute('font-size')) || 12;
+    [['x', 'y'], ['x1', 'y1'], ['x2', 'y2'], ['cx', 'cy']].forEach(([ax, ay]) => {
+      if (!node.hasAttribute(ax) || !node.hasAttribute(ay)) return;
+      const x = parseFloat(node.getAttribute(ax));
+      const y = parseFloat(node.getAttribute(ay));
+      if (isNaN(x) || isNaN(y)) return;
+      // 文字向右延伸，按字数估计宽度
+      const textWidth = node.tagName === 'text' ? node.textContent.length * fontSize * 0.6 : 0;
+      extend(x, y - fontSize);
+      extend(x + textWidth, y);
+    });
+    (node.getAttribute('points') || '').trim().split(/\s+/).forEach(point => {
+      const [x, y] = point.split(',').map(Number);
+      if (!isNaN(x) && !isNaN(y)) extend(x, y);
+    });
+  });
+  
+  const pad = 20;
+  const x0 = Math.floor(bounds.minX - pad);
+  const y0 = Math.floor(bounds.minY - pad);
+  const width = Math.ceil(bounds.maxX - bounds.minX + pad * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + pad * 2);
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('viewBox', `${x0} ${y0} ${width} ${height}`);
+  root.setAttribute('font-family', 'sans-serif');
+  
+  const background = document.createElementNS(ns, 'rect');
+  background.setAttribute('x', x0);
+  background.setAttribute('y', y0);
+  background.setAttribute('width', width);
+  background.setAttribute('height', height);
+  background.setAttribute('fill', 'white');
+  root.appendChild(background);
+  root.appendChild(cells);
+  root.appendChild(overlay);
+  
+  const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root)}`;
+  return { markup, width, height };
+}
+
+/**
+ * 创建导出用的单元格形状（与画布后端的形状一致）
+ * @param {number} x - 中心x坐标
+ * @param {number} y - 中心y坐标
+ * @param {number} r - 半径
+ * @param {Array<string>} classes - 样式类名数组
+ * @returns {SVGElement} 形状元素
+ */
+function createExportCellShape(x, y, r, classes) {
+  const ns = "http://www.w3.org/2000/svg";
+  if (classes.includes('triangle') || classes.includes('hexagon')) {
+    const t = r * 1.2;
+    const points = classes.includes('triangle')
+      ? [[x, y - t], [x - t, y + t * 0.75], [x + t, y + t * 0.75]]
+      : [[x - r / 2, y - r], [x + r / 2, y - r], [x + r, y], [x + r / 2, y + r], [x - r / 2, y + r], [x - r, y]];
+    const polygon = document.createElementNS(ns, 'polygon');
+    polygon.setAttribute('points', points.map(point => point.join(',')).join(' '));
+    return polygon;
+  }
+  if (classes.includes('rounded-square')) {
+    const rect = document.createElementNS(ns, 'rect');
+    rect.setAttribute('x', x - r);
+    rect.setAttribute('y', y - r);
+    rect.setAttribute('width', r * 2);
+    rect.setAttribute('height', r * 2);
+    rect.setAttribute('rx', r * 0.25);
+    return rect;
+  }
+  const circle = document.createElementNS(ns, 'circle');
+  circle.setAttribute('cx', x);
+  circle.setAttribute('cy', y);
+  circle.setAttribute('r', r);
+  return circle;
+}
+
+/**
+ * 把覆盖层元素由样式类决定的样式写成属性，并去掉类名（递归处理子元素）
+ * 带动画的描线效果（如格路动画）导出为动画结束后的完整线条
+ * @param {Element} source - 页面中的原元素
+ * @param {Element} clone - 复制出的元素
+ */
+function inlineExportStyles(source, clone) {
+  if (source.getAttribute('class')) {
+    const style = getComputedStyle(source);
+    const animated = style.animationName && style.animationName !== 'none';
+    EXPORT_STYLE_PROPS.forEach(prop => {
+      if (animated && prop === 'stroke-dasharray') return;
+      const value = style.getPropertyValue(prop);
+      if (value && !clone.hasAttribute(prop)) clone.setAttribute(prop, value);
+    });
+    clone.removeAttribute('class');
+    clone.removeAttribute('style');
+  }
+  Array.from(source.children).forEach((child, i) => inlineExportStyles(child, clone.children[i]));
+}
+
+/**
+ * 把SVG栅格化为PNG并下载
+ * @param {number} scale - 放大倍数
+ */
+function exportPng(scale) {
+  const { markup, width, height } = buildExportSvg();
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.drawImage(image, 0, 0, width, height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadFile('pascal-triangle.png', blob, 'image/png'));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    el.infoContent.innerHTML = `<p class="rule-error">${t('export.pngFailed')}</p>`;
+  };
+  image.src = url;
+}
+
+/**
+ * 下载文件
+ * @param {string} filename - 文件名
+ * @param {string|Blob} content - 文件内容
+ * @param {string} type - MIME类型
+ */
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // 等待浏览器开始下载后再释放
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 数据导出格式：文件扩展名、MIME类型与生成函数
+const DATA_EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv', build: () => buildCsvExport() },
+  json: { extension: 'json', type: 'application/json', build: () => buildJsonExport() },
+  latex: { extension: 'tex', type: 'text/x-tex', build: () => buildLatexArrayExport() },
+  tikz: { extension: 'tex', type: 'text/x-tex', build: () => buildTikzExport() }
+};
+
+/**
+ * 获取单元格当前的全部样式类（DOM后端读取元素的类，画布后端读取虚拟单元格的类）
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {Array<string>} - 样式类名数组
+ */
+function getCellClassList(n, k) {
+  if (view.canvasActive) return getCanvasCellClassList(n, k, view.triangle[n][k]);
+  const cell = getCell(n, k);
+  return cell ? Array.from(cell.classList) : [];
+}
+
+/**
+ * 数值的精确LaTeX表示（不做科学计数法压缩），分数写作 \frac
+ * @param {bigint|{num: bigint, den: bigint}} value - 数值
+ * @returns {string}
+ */
+function exactValueLatex(value) {
+  if (typeof value === 'bigint' || value.den === 1n) return valueToString(value);
+  const sign = value.num < 0n ? '-' : '';
+  return `${sign}\\frac{${value.num < 0n ? -value.num : value.num}}{${value.den}}`;
+}
+
+/**
+ * 当前三角形的类型键与名称（三项式模式为杨辉金字塔的一层）
+ * @returns {{type: string, name: string}}
+ */
+function getExportTypeInfo() {
+  if (state.multinomial) return { type: 'trinomial', name: t('export.pyramidLayer', { layer: state.rows - 1 }) };
+  return { type: state.triangleType, name: TRIANGLE_TYPES[state.triangleType].name };
+}
+
+/**
+ * CSV：每行一个三角形的行，数值精确写出
+ * @returns {string}
+ */
+function buildCsvExport() {
+  return view.triangle.map(row => row.map(valueToString).join(',')).join('\n') + '\n';
+}
+
+/**
+ * JSON：嵌套数组（数值为精确的字符串）以及三角形类型、行数等元数据
+ * @returns {string}
+ */
+function buildJsonExport() {
+  const { type, name } = getExportTypeInfo();
+  return JSON.stringify({
+    type,
+    name,
+    rowCount: view.triangle.length,
+    ...(state.multinomial ? { layer: state.rows - 1 } : {}),
+    values: view.triangle.map(row => row.map(valueToString))
+  }, null, 2);
+}
+
+/**
+ * LaTeX：居中的 array，每行的数错位排列成三角形
+ * @returns {string}
+ */
+function buildLatexArrayExport() {
+  const width = Math.max(...view.triangle.map(row => row.length));
+  const columns = width * 2 - 1;
+  const lines = view.triangle.map(row => {
+    const cells = new Array(columns).fill('');
+    const start = width - row.length;
+    row.forEach((value, k) => { cells[start + k * 2] = exactValueLatex(value); });
+    return `  ${cells.join(' & ')} \\\\`;
+  });
+  return [
+    `% ${t('export.header', { name: getExportTypeInfo().name, rows: view.triangle.length })}`,
+    '\\[',
+    `\\begin{array}{*{${columns}}{c}}`,
+    ...lines,
+    '\\end{array}',
+    '\\]'
+  ].join('\n') + '\n';
+}
+
+/**
+ * TikZ：按位置重新绘制每个格子，当前的高亮样式类写成同名的节点样式
+ * @returns {string}
+ */
+function buildTikzExport() {
+  // CSS颜色转为TikZ可用的 HTML 十六进制形式
+  const toHex = color => {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+    if (!match) return '6366F1';
+    const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return hex.toUpperCase();
+  };
+  
+  const styles = new Map();
+  const nodes = [];
+  const edges = [];
+  view.triangle.forEach((row, n) => {
+    row.forEach((value, k) => {
+      // 与画布后端相同：取第一个决定颜色的样式类作为节点样式
+      const classes = getCellClassList(n, k);
+      const styleClass = classes.find(name => CANVAS_CELL_COLORS.some(([c]) => c === name)) ||
+        classes.find(name => name.startsWith('residue-') || name.startsWith('valuation-'));
+      if (styleClass && !styles.has(styleClass)) styles.set(styleClass, toHex(getCellFillColor([styleClass])));
+      const x = (k - (row.length - 1) / 2).toFixed(1);
+      const y = (-n * 0.9).toFixed(2);
+      nodes.push(`  \\node[cell${styleClass ? `, ${styleClass}` : ''}] (c-${n}-${k}) at (${x},${y}) {$${exactValueLatex(value)}$};`);
+      
+      if (state.showLines && !state.multinomial) {
+        TRIANGLE_TYPES[state.triangleType].parents(n, k).forEach(parent => {
+          edges.push(`  \\draw[link] (c-${parent.n}-${parent.k}) -- (c-${n}-${k});`);
+        });
+      }
+    });
+  });
+  
+  const colorDefs = [...styles].map(([name, hex]) => `\\definecolor{${name}}{HTML}{${hex}}`);
+  const styleDefs = [...styles.keys()].map(name => `  ${name}/.style={fill=${name}},`);
+  return [
+    `% ${t('export.tikzHeader', { name: getExportTypeInfo().name, rows: view.triangle.length })} \\usepackage{tikz}`,
+    '\\definecolor{cellfill}{HTML}{6366F1}',
+    ...colorDefs,
+    '\\begin{tikzpicture}[',
+    '  cell/.style={circle, fill=cellfill, text=white, minimum size=8mm, inner sep=1pt, font=\\small\\bfseries},',
+    '  link/.style={draw=red!70, thick},',
+    ...styleDefs,
+    ']',
+    ...nodes,
+    ...edges,
+    '\\end{tikzpicture}'
+  ].join('\n') + '\n';
+}
+
+/**
+ * 复制文本到剪贴板，不支持 Clipboard API 时退回 execCommand
+ * @param {string} text - 要复制的文本
+ * @param {function(boolean): void} done - 完成回调，参数表示是否成功
+ */
+function copyToClipboard(text, done) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(text).then(() => done(true), () => done(false));
+    return;
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let ok = false;
+  try {
+    ok = document.execCommand('copy');
+  } catch (err) {
+    ok = false;
+  }
+  textarea.remove();
+  done(ok);
+}
+
+// 用于快速排除合数的小素数表（BigInt）
+const SMALL_PRIMES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n, 43n, 47n];
+
+// 超过该位数的数值在格子中以科学计数法紧凑显示
+const COMPACT_DIGITS = 6;
+
+/**
+ * 检查一个数是否为素数
+ * 小数值使用试除法，大数值先用小素数试除，再用 Miller-Rabin 检验
+ * （以前13个素数为底，对 3.3×10^24 以内的数是确定性的）
+ * @param {number|bigint} num - 要检查的数字
+ * @returns {boolean} - 如果是素数返回true，否则返回false
+ */
+function isPrime(num) {
+  const value = BigInt(num);
+  // 特殊情况处理
+  if (value <= 1n) return false;
+  if (value <= 3n) return true;
+  if (value % 2n === 0n || value % 3n === 0n) return false;
+  
+  // 较小的数：只需检查到sqrt(num)，并且可以跳过偶数和3的倍数
+  if (value < 10000000000n) {
+    const n = Number(value);
+    const sqrtNum = Math.sqrt(n);
+    for (let i = 5; i <= sqrtNum; i += 6) {
+      if (n % i === 0 || n % (i + 2) === 0) return false;
+    }
+    return true;
+  }
+  
+  // 较大的数：先用小素数试除，再做 Miller-Rabin 检验
+  for (const p of SMALL_PRIMES) {
+    if (value % p === 0n) return false;
+  }
+  return millerRabin(value);
+}
+
+/**
+ * Miller-Rabin 素性检验
+ * @param {bigint} n - 待检验的奇数（n > 47）
+ * @returns {boolean} - 通过全部底数检验返回true
+ */
+function millerRabin(n) {
+  // 将 n-1 写成 d·2^s 的形式
+  let d = n - 1n;
+  let s = 0;
+  while (d % 2n === 0n) {
+    d /= 2n;
+    s++;
+  }
+  
+  for (const a of SMALL_PRIMES.slice(0, 13)) {
+    let x = modPow(a, d, n);
+    if (x === 1n || x === n - 1n) continue;
+    let composite = true;
+    for (let r = 1; r < s; r++) {
+      x = x * x % n;
+      if (x === n - 1n) {
+        composite = false;
+        break;
+      }
+    }
+    if (composite) return false;
+  }
+  return true;
+}
+
+/**
+ * 快速幂取模 base^exp mod mod
+ * @param {bigint} base - 底数
+ * @param {bigint} exp - 指数
+ * @param {bigint} mod - 模数
+ * @returns {bigint} - 取模结果
+ */
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = result * base % mod;
+    base = base * base % mod;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+/**计算组合数 C(n,k)
+ * 使用BigInt精确计算，每一步的乘除都是整除，不会产生误差
+ * n为负数时按牛顿广义二项式定理计算：C(-m,k) = (-1)^k C(m+k-1,k)
+ * @param {number} n - 总数（可以为负整数）
+ * @param {number} k - 选取个数
+ * @returns {bigint} - 组合数结果
+ */
+function combination(n, k) {
+  if (n < 0) {
+    if (k < 0) return 0n;
+    const magnitude = combination(-n + k - 1, k);
+    return k % 2 === 0 ? magnitude : -magnitude;
+  }
+  if (k < 0 || k > n) return 0n;
+  // 特殊情况处理：C(n,0) = C(n,n) = 1
+  if (k === 0 || k === n) return 1n;
+  
+  // 利用对称性 C(n,k) = C(n,n-k) 减少迭代次数
+  k = Math.min(k, n - k);
+  let result = 1n;
+  // 使用迭代方式计算组合数：前i项之积一定能被i!整除
+  for (let i = 1; i <= k; i++) {
+    result = result * BigInt(n - i + 1) / BigInt(i);
+  }
+  return result;
+}
+
+/**生成杨辉三角数据
+ * 按"每个数等于上方两数之和"逐行累加，全部使用BigInt保证大行数时的精确性
+ * @param {number} rows - 要生成的行数
+ * @returns {Array<Array<bigint>>} - 二维数组，包含杨辉三角的数值数据
+ */
+function generatePascalTriangle(rows) {
+  const triangle = [];
+  
+  // 逐行生成杨辉三角数据
+  for (let n = 0; n < rows; n++) {
+    triangle[n] = [];
+    for (let k = 0; k <= n; k++) {
+      if (k === 0 || k === n) {
+        triangle[n][k] = 1n;
+      } else {
+        triangle[n][k] = triangle[n - 1][k - 1] + triangle[n - 1][k];
+      }
+    }
+  }
+  
+  return triangle;
+}
+
+/**
+ * 按三角形类型的递推关系逐行生成数字三角形
+ * @param {string} typeKey - 三角形类型（TRIANGLE_TYPES 的键）
+ * @param {number} rows - 要生成的行数
+ * @returns {Array<Array<bigint|{num: bigint, den: bigint}>>} - 二维数组，分数三角形的元素为分数
+ */
+function generateRuleTriangle(typeKey, rows) {
+  const type = TRIANGLE_TYPES[typeKey];
+  const zero = type.fractional ? makeFraction(0n) : 0n;
+  const triangle = [];
+  // 超出范围的格子视为0
+  const T = (n, k) => (triangle[n] && triangle[n][k] !== undefined) ? triangle[n][k] : zero;
+  
+  for (let n = 0; n < rows; n++) {
+    triangle[n] = [];
+    const length = type.rowLength(n);
+    for (let k = 0; k < length; k++) {
+      triangle[n][k] = type.value(n, k, T);
+    }
+  }
+  return triangle;
+}
+
+/**
+ * 将递推规则拆分为记号：数字、变量 n/k/T、运算符与括号
+ * @param {string} text - 规则文本
+ * @returns {Array<{type: string, value: string, pos: number}>} 记号序列
+ * @throws {Error} 出现无法识别的字符时抛出
+ */
+function tokenizeRule(text) {
+  const tokens = [];
+  // 兼容常见的数学符号：· × 表示乘号，− 表示减号
+  const source = text.replace(/[·×]/g, '*').replace(/−/g, '-');
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/\d/.test(ch)) {
+      const start = i;
+      while (i < source.length && /\d/.test(source[i])) i++;
+      tokens.push({ type: 'num', value: source.slice(start, i), pos: start });
+    } else if (/[nkT]/.test(ch)) {
+      tokens.push({ type: 'name', value: ch, pos: i++ });
+    } else if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, pos: i++ });
+    } else {
+      throw new Error(t('rule.unknownChar', { pos: i + 1, ch }));
+    }
+  }
+  tokens.push({ type: 'end', value: '', pos: source.length });
+  return tokens;
+}
+
+/**
+ * 解析递推规则为语法树（递归下降，不使用 eval）
+ * 语法：表达式由 + - * / ^、括号、整数、n、k 以及 T(n-1,k-1)、T(n-1,k) 组成，数字与括号、T 相邻时视为相乘
+ * @param {string} text - 规则文本
+ * @param {boolean} allowParents - 是否允许引用 T（边界值不允许）
+ * @returns {{ast: Object, parents: Set<number>}} 语法树，以及用到的父项（列偏移 -1 或 0）
+ * @throws {Error} 语法错误时抛出，错误信息包含出错位置
+ */
+function parseRule(text, allowParents) {
+  const tokens = tokenizeRule(text);
+  const parents = new Set();
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = (token, message) => {
+    throw new Error(t('rule.at', { pos: token.pos + 1, message }));
+  };
+  const expect = value => {
+    const token = tokens[index++];
+    if (token.value !== value) fail(token, t('rule.missing', { value }));
+  };
+  
+  // 表达式：项 (('+'|'-') 项)*
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (peek().value === '+' || peek().value === '-') {
+      const op = tokens[index++].value;
+      node = { type: 'bin', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+  
+  // 项：因子 (('*'|'/') 因子 | 省略乘号的因子)*
+  const parseTerm = () => {
+    let node = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (token.value === '*' || token.value === '/') {
+        index++;
+        node = { type: 'bin', op: token.value, left: node, right: parseUnary() };
+      } else if (token.type === 'num' || token.type === 'name' || token.value === '(') {
+        node = { type: 'bin', op: '*', left: node, right: parseUnary() };
+      } else {
+        return node;
+      }
+    }
+  };
+  
+  const parseUnary = () => {
+    if (peek().value === '-') {
+      index++;
+      return { type: 'neg', arg: parseUnary() };
+    }
+    if (peek().value === '+') {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+  
+  // 乘方：指数必须是不超过64的整数常量
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek().value !== '^') return base;
+    index++;
+    const token = peek();
+    if (token.type !== 'num') fail(token, t('rule.exponentConstant'));
+    index++;
+    const exponent = parseInt(token.value, 10);
+    if (exponent > 64) fail(token, t('rule.exponentMax', { max: 64 }));
+    return { type: 'bin', op: '^', left: base, right: { type: 'num', value: BigInt(exponent) } };
+  };
+  
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (token.type === 'num') return { type: 'num', value: BigInt(token.value) };
+    if (token.value === 'n' || token.value === 'k') return { type: 'var', name: token.value };
+    if (token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+    if (token.value === 'T') {
+      if (!allowParents) fail(token, t('rule.edgeParent'));
+      // 参数只能是 (n-1, k-1) 或 (n-1, k)
+      expect('(');
+      expect('n');
+      expect('-');
+      expect('1');
+      expect(',');
+      expect('k');
+      let dk = 0;
+      if (peek().value === '-') {
+        index++;
+        expect('1');
+        dk = -1;
+      }
+      if (peek().value !== ')') fail(peek(), t('rule.parentArgs'));
+      index++;
+      parents.add(dk);
+      return { type: 'parent', dk };
+    }
+    fail(token, token.type === 'end' ? t('rule.incomplete') : t('rule.unexpected', { value: token.value }));
+  };
+  
+  const ast = parseExpression();
+  if (peek().type !== 'end') fail(peek(), t('rule.unexpected', { value: peek().value }));
+  return { ast, parents };
+}
+
+// 自定义规则中乘法与乘方结果的位数上限（二进制），超过时报错，避免增长过快的规则卡死页面
+const RULE_MAX_BITS = 16384;
+
+/**
+ * 估算 BigInt 的二进制位数（按十六进制位数计算，比实际位数最多多3位）
+ * @param {bigint} value - 整数
+ * @returns {number}
+ */
+function bitLength(value) {
+  return value === 0n ? 0 : (value < 0n ? -value : value).toString(16).length * 4;
+}
+
+/**
+ * 计算语法树的值（BigInt精确计算，除法必须整除）
+ * @param {Object} node - 语法树节点
+ * @param {{n: number, k: number, T: Function}} env - 变量 n、k 及父项取值函数 T(dk)
+ * @returns {bigint}
+ * @throws {Error} 除数为0、不能整除或乘法结果超过 RULE_MAX_BITS 位时抛出
+ */
+function evaluateRule(node, env) {
+  switch (node.type) {
+    case 'num': return node.value;
+    case 'var': return BigInt(env[node.name]);
+    case 'parent': return env.T(node.dk);
+    case 'neg': return -evaluateRule(node.arg, env);
+  }
+  const left = evaluateRule(node.left, env);
+  const right = evaluateRule(node.right, env);
+  // 乘法与乘方先估算结果位数，超过上限时不再计算
+  const tooLarge = () => new Error(t('rule.tooLarge', { n: env.n, k: env.k, bits: RULE_MAX_BITS }));
+  switch (node.op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*':
+      if (bitLength(left) + bitLength(right) - 6 > RULE_MAX_BITS) throw tooLarge();
+      return left * right;
+    case '^':
+      if ((bitLength(left) - 3) * Number(right) > RULE_MAX_BITS) throw tooLarge();
+      return left ** right;
+    case '/':
+      if (right === 0n) throw new Error(t('rule.divideByZero', { n: env.n, k: env.k }));
+      if (left % right !== 0n) throw new Error(t('rule.notDivisible', { n: env.n, k: env.k, left, right }));
+      return left / right;
+  }
+}
+
+/**
+ * 将语法树转为LaTeX，可选地代入 n、k 与父项的数值
+ * @param {Object} node - 语法树节点
+ * @param {Object} [env] - 代入的数值（省略时保留符号；提供 parentLatex 时父项按它显示）
+ * @returns {string}
+ */
+function ruleToLatex(node, env) {
+  const wrap = child => (child.type === 'bin' && (child.op === '+' || child.op === '-')) ? `\\left(${ruleToLatex(child, env)}\\right)` : ruleToLatex(child, env);
+  switch (node.type) {
+    case 'num': return node.value.toString();
+    case 'var': return env ? `${env[node.name]}` : node.name;
+    case 'parent':
+      if (env) return env.parentLatex ? env.parentLatex(node.dk) : formatValueLatex(env.T(node.dk));
+      return node.dk === -1 ? 'T(n-1,k-1)' : 'T(n-1,k)';
+    case 'neg': return `-${wrap(node.arg)}`;
+  }
+  switch (node.op) {
+    case '+': return `${ruleToLatex(node.left, env)} + ${ruleToLatex(node.right, env)}`;
+    case '-': return `${ruleToLatex(node.left, env)} - ${wrap(node.right)}`;
+    case '*': return `${wrap(node.left)} \\cdot ${wrap(node.right)}`;
+    case '/': return `\\frac{${ruleToLatex(node.left, env)}}{${ruleToLatex(node.right, env)}}`;
+    case '^': return `{${wrap(node.left)}}^{${ruleToLatex(node.right, env)}}`;
+  }
+}
+
+/**
+ * 根据用户输入的规则创建自定义三角形类型（与内置类型使用相同的接口）
+ * @param {string} rule - T(n,k) 的递推式
+ * @param {string} left - 左边界 T(n,0)
+ * @param {string} right - 右边界 T(n,n)
+ * @returns {Object} 三角形类型
+ * @throws {Error} 规则解析失败时抛出
+ */
+function buildCustomTriangleType(rule, left, right) {
+  const recurrence = parseRule(rule, true);
+  const leftEdge = parseRule(left, false);
+  const rightEdge = parseRule(right, false);
+  const isEdge = (n, k) => k === 0 || k === n;
+  const edgeAst = (n, k) => k === 0 ? leftEdge.ast : rightEdge.ast;
+  // 只连接规则中实际用到的父项
+  const parentOffsets = Array.from(recurrence.parents).sort();
+  const ruleLatex = ruleToLatex(recurrence.ast);
+  
+  return {
+    get name() { return t('types.custom.name'); },
+    get description() { return t('types.custom.description', { rule, left, right }); },
+    rowLength: n => n + 1,
+    value: (n, k, T) => {
+      if (isEdge(n, k)) return evaluateRule(edgeAst(n, k), { n, k });
+      return evaluateRule(recurrence.ast, { n, k, T: dk => T(n - 1, k + dk) });
+    },
+    parents: (n, k) => isEdge(n, k) ? [] : parentOffsets.map(dk => ({ n: n - 1, k: k + dk, coeff: '' })),
+    // 点击信息：先写出规则，再代入父项的数值
+    recurrenceLatex: (n, k, value) => {
+      const env = { n, k, T: dk => view.triangle[n - 1][k + dk] };
+      if (isEdge(n, k)) {
+        return `T(${n},${k}) = ${ruleToLatex(edgeAst(n, k), { n, k })} = ${formatValueLatex(value)}`;
+      }
+      const symbolic = { n, k, parentLatex: dk => `T(${n - 1},${k + dk})` };
+      return `T(${n},${k}) = ${ruleToLatex(recurrence.ast, symbolic)} = ${ruleToLatex(recurrence.ast, env)} = ${formatValueLatex(value)}`;
+    },
+    notation: (n, k) => ({ latex: `T(${n},${k})`, text: `T(${n},${k})` }),
+    definition: `T(n,k) = ${ruleLatex},\\quad T(n,0) = ${ruleToLatex(leftEdge.ast)},\\quad T(n,n) = ${ruleToLatex(rightEdge.ast)}`,
+    rowSum: { latex: '\\sum_{k=0}^{n} T(n,k)', label: null, get description() { return t('types.custom.rowSum'); } }
+  };
+}
+
+/**
+ * 读取编辑器中的规则并注册为自定义三角形类型，失败时在信息面板中报告错误
+ * @returns {boolean} 是否成功
+ */
+function applyCustomRule() {
+  const rule = el.customRuleInput.value.trim();
+  const left = el.customLeftInput.value.trim();
+  const right = el.customRightInput.value.trim();
+  try {
+    const type = buildCustomTriangleType(rule, left, right);
+    // 先试算当前行数，尽早发现不能整除等计算错误
+    TRIANGLE_TYPES.custom = type;
+    generateRuleTriangle('custom', state.rows);
+  } catch (err) {
+    // 恢复为上一次成功的规则
+    if (state.customRule.rule !== rule || state.customRule.left !== left || state.customRule.right !== right) {
+      TRIANGLE_TYPES.custom = buildCustomTriangleType(state.customRule.rule, state.customRule.left, state.customRule.right);
+    }
+    showRuleError(err.message);
+    return false;
+  }
+  state.customRule = { rule, left, right };
+  return true;
+}
+
+/**
+ * 在信息面板中显示递推规则的错误
+ * @param {string} message - 错误信息
+ */
+function showRuleError(message) {
+  el.infoContent.innerHTML = `<p class="rule-error">${t('rule.error', { message })}</p>`;
+}
+
+/**
+ * 是否显示普通杨辉三角（二项式系数），数论规律与斜列规律只适用于这种情况
+ * @returns {boolean}
+ */
+function isBinomialView() {
+  return state.triangleType === 'pascal' && !state.multinomial;
+}
+
+/**
+ * 切换回普通杨辉三角（退出三项式模式与其他三角形类型）
+ */
+function useBinomialTriangle() {
+  state.triangleType = 'pascal';
+  state.multinomial = false;
+  if (el.triangleTypeSelect) el.triangleTypeSelect.value = 'pascal';
+}
+
+/**
+ * 生成杨辉金字塔第n层：(a+b+c)^n 的三项式系数
+ * 第i行第j个数对应 a^{n-i} b^{i-j} c^{j}，其值为 n!/((n-i)!(i-j)!j!) = C(n,i)·C(i,j)
+ * @param {number} n - 层数（三项式的幂次）
+ * @returns {Array<Array<bigint>>} - 二维数组，共 n+1 行
+ */
+function generateTrinomialLayer(n) {
+  const layer = [];
+  for (let i = 0; i <= n; i++) {
+    const rowFactor = combination(n, i);
+    layer[i] = [];
+    for (let j = 0; j <= i; j++) {
+      layer[i][j] = rowFactor * combination(i, j);
+    }
+  }
+  return layer;
+}
+
+/**
+ * 获取三项式模式下格子 (i,j) 对应的 a、b、c 的指数
+ * @param {number} i - 行索引
+ * @param {number} j - 列索引
+ * @returns {Array<number>} [a的指数, b的指数, c的指数]
+ */
+function getTrinomialExponents(i, j) {
+  return [state.rows - 1 - i, i - j, j];
+}
+
+/**
+ * 获取格子的符号表示：二项式为 C_n^k，三项式为多项式系数
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {{latex: string, text: string}} LaTeX与纯文本两种形式
+ */
+function getCellNotation(n, k) {
+  if (state.multinomial) {
+    const exps = getTrinomialExponents(n, k);
+    return {
+      latex: `\\binom{${state.rows - 1}}{${exps.join(',')}}`,
+      text: `(${state.rows - 1}; ${exps.join(',')})`
+    };
+  }
+  return TRIANGLE_TYPES[state.triangleType].notation(n, k);
+}
+
+/**
+ * 数值的完整文本表示（分数写成 a/b），用于悬停提示和数据属性
+ * @param {bigint|{num: bigint, den: bigint}} value - 数值
+ * @returns {string}
+ */
+function valueToString(value) {
+  if (typeof value === 'bigint') return value.toString();
+  return value.den === 1n ? value.num.toString() : `${value.num}/${value.den}`;
+}
+
+/**
+ * 取数值中用于余数着色的整数：整数取自身，分数取分母
+ * @param {bigint|{num: bigint, den: bigint}} value - 数值
+ * @returns {bigint}
+ */
+function getResidueSource(value) {
+  return typeof value === 'bigint' ? value : value.den;
+}
+
+/**
+ * 求数值模 m 的余数，结果总在 0 到 m-1 之间（自定义规则可能产生负数）
+ * @param {bigint|{num: bigint, den: bigint}} value - 数值
+ * @param {bigint} modulus - 模数
+ * @returns {bigint}
+ */
+function getResidue(value, modulus) {
+  return (getResidueSource(value) % modulus + modulus) % modulus;
+}
+
+/**
+ * 求一行数值之和，支持分数
+ * @param {Array<bigint|{num: bigint, den: bigint}>} row - 一行数值
+ * @returns {bigint|{num: bigint, den: bigint}}
+ */
+function sumRow(row) {
+  if (row.length > 0 && typeof row[0] !== 'bigint') {
+    return row.reduce((sum, value) => addFraction(sum, value), makeFraction(0n));
+  }
+  return row.reduce((sum, value) => sum + value, 0n);
+}
+
+/**
+ * 获取行总和标签左侧的公式（例如 2^n），没有闭式时返回null
+ * @param {number} n - 行索引
+ * @returns {string|null}
+ */
+function getRowSumLabel(n) {
+  if (state.multinomial) return `C(${state.rows - 1},${n})·2^${n}`;
+  const { label } = TRIANGLE_TYPES[state.triangleType].rowSum;
+  return label ? label(n) : null;
+}
+
+/**
+ * 判断数值是否需要紧凑显示
+ * @param {bigint} value - 数值
+ * @returns {boolean} - 位数超过 COMPACT_DIGITS 时返回true
+ */
+function isLongValue(value) {
+  if (typeof value !== 'bigint') return isLongValue(value.num) || isLongValue(value.den);
+  return value.toString().replace('-', '').length > COMPACT_DIGITS;
+}
+
+/**
+ * 生成数值的紧凑LaTeX表示：位数较多时显示为科学计数法（保留3位有效数字）
+ * @param {bigint} value - 数值
+ * @returns {string} - LaTeX字符串
+ */
+function formatValueLatex(value) {
+  if (typeof value !== 'bigint') return fractionToLatex(value);
+  if (!isLongValue(value)) return value.toString();
+  const { sign, mantissa, exponent } = splitScientific(value);
+  return `${sign}${mantissa}{\\times}10^{${exponent}}`;
+}
+
+/**
+ * 生成数值的紧凑纯文本表示，用于SVG标签
+ * @param {bigint} value - 数值
+ * @returns {string} - 文本字符串
+ */
+function formatValueText(value) {
+  if (typeof value !== 'bigint') {
+    return value.den === 1n ? formatValueText(value.num) : `${formatValueText(value.num)}/${formatValueText(value.den)}`;
+  }
+  if (!isLongValue(value)) return value.toString();
+  const { sign, mantissa, exponent } = splitScientific(value);
+  return `${sign}${mantissa}×10^${exponent}`;
+}
+
+/**
+ * 将大整数拆分为科学计数法的尾数与指数
+ * @param {bigint} value - 数值
+ * @returns {{sign: string, mantissa: string, exponent: number}} - 符号、尾数（3位有效数字）与指数
+ */
+function splitScientific(value) {
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString();
+  let exponent = digits.length - 1;
+  // 取前3位有效数字并按第4位四舍五入，进位到 1000 时指数加一
+  let leading = Number(digits.slice(0, 3).padEnd(3, '0'));
+  if (Number(digits[3] || 0) >= 5) leading++;
+  if (leading === 1000) {
+    leading = 100;
+    exponent++;
+  }
+  const rounded = String(leading);
+  return {
+    sign,
+    mantissa: `${rounded[0]}.${rounded.slice(1)}`,
+    exponent
+  };
+}
+
+/**
+ * 求两个 BigInt 的最大公约数（非负）
+ * @param {bigint} a - 整数
+ * @param {bigint} b - 整数
+ * @returns {bigint} 最大公约数
+ */
+function gcdBigInt(a, b) {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b > 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * 创建约分后的分数，分母始终为正
+ * @param {bigint} num - 分子
+ * @param {bigint} [den=1n] - 分母（不能为0）
+ * @returns {{num: bigint, den: bigint}} 最简分数
+ */
+function makeFraction(num, den = 1n) {
+  if (den < 0n) {
+    num = -num;
+    den = -den;
+  }
+  const g = gcdBigInt(num, den) || 1n;
+  return { num: num / g, den: den / g };
+}
+
+/**
+ * 分数乘法
+ * @param {{num: bigint, den: bigint}} a - 分数
+ * @param {{num: bigint, den: bigint}} b - 分数
+ * @returns {{num: bigint, den: bigint}} 乘积
+ */
+function multiplyFraction(a, b) {
+  return makeFraction(a.num * b.num, a.den * b.den);
+}
+
+/**
+ * 分数的整数次幂，负指数时先取倒数（f不能为0）
+ * @param {{num: bigint, den: bigint}} f - 分数
+ * @param {number} e - 指数
+ * @returns {{num: bigint, den: bigint}} f 的 e 次幂
+ */
+function powFraction(f, e) {
+  if (e < 0) return powFraction(makeFraction(f.den, f.num), -e);
+  return { num: f.num ** BigInt(e), den: f.den ** BigInt(e) };
+}
+
+/**
+ * 分数加法
+ * @param {{num: bigint, den: bigint}} a - 分数
+ * @param {{num: bigint, den: bigint}} b - 分数
+ * @returns {{num: bigint, den: bigint}} 和
+ */
+function addFraction(a, b) {
+  return makeFraction(a.num * b.den + b.num * a.den, a.den * b.den);
+}
+
+/**
+ * 分数减法
+ * @param {{num: bigint, den: bigint}} a - 被减数
+ * @param {{num: bigint, den: bigint}} b - 减数
+ * @returns {{num: bigint, den: bigint}} 差
+ */
+function subtractFraction(a, b) {
+  return makeFraction(a.num * b.den - b.num * a.den, a.den * b.den);
+}
+
+/**
+ * 分数转为浮点数近似值（分子分母很大时先按位数缩放，避免溢出）
+ * @param {{num: bigint, den: bigint}} f - 分数
+ * @returns {number} 近似值
+ */
+function fractionToNumber(f) {
+  const shift = Math.max(f.num.toString().length, f.den.toString().length) - 15;
+  if (shift <= 0) return Number(f.num) / Number(f.den);
+  const scale = 10n ** BigInt(shift);
+  return Number(f.num / scale) / Number(f.den / scale);
+}
+
+/**
+ * 生成分数的LaTeX表示，分子分母位数较多时紧凑显示
+ * @param {{num: bigint, den: bigint}} f - 分数
+ * @returns {string} LaTeX字符串
+ */
+function fractionToLatex(f) {
+  if (f.den === 1n) return formatValueLatex(f.num);
+  const sign = f.num < 0n ? '-' : '';
+  return `${sign}\\frac{${formatValueLatex(f.num < 0n ? -f.num : f.num)}}{${formatValueLatex(f.den)}}`;
+}
+
+/**
+ * 解析二项式中的一项，例如 2x、-3y、x^2、1/2、0.5ab^3
+ * 格式：[符号][整数、小数或分数][*][字母[^指数]]...
+ * @param {string} text - 用户输入的项
+ * @returns {{coeff: {num: bigint, den: bigint}, vars: Array<[string, number]>}|null} 系数与各字母的指数，无法解析时返回null
+ */
+function parseBinomialTerm(text) {
+  const source = text.replace(/\s+/g, '');
+  const match = /^([+-]?)(\d+(?:\.\d+)?(?:\/\d+)?)?\*?((?:[a-zA-Z](?:\^\d+)?)*)$/.exec(source);
+  if (!match || (!match[2] && !match[3])) return null;
+  
+  // 系数：小数化为分数，如 0.25 = 25/100
+  let coeff = makeFraction(1n);
+  if (match[2]) {
+    const [numText, denText = '1'] = match[2].split('/');
+    const [intPart, fracPart = ''] = numText.split('.');
+    const den = BigInt(denText) * 10n ** BigInt(fracPart.length);
+    if (den === 0n) return null;
+    coeff = makeFraction(BigInt(intPart + fracPart), den);
+  }
+  if (match[1] === '-') coeff = makeFraction(-coeff.num, coeff.den);
+  
+  // 字母及指数，同一字母出现多次时指数相加
+  const vars = new Map();
+  for (const [, name, exp] of match[3].matchAll(/([a-zA-Z])(?:\^(\d+))?/g)) {
+    vars.set(name, (vars.get(name) || 0) + (exp === undefined ? 1 : parseInt(exp, 10)));
+  }
+  
+  return { coeff, vars: Array.from(vars).filter(([, exp]) => exp > 0) };
+}
+
+/**
+ * 生成字母部分的LaTeX，指数为1时省略
+ * @param {Array<[string, number]>} vars - 字母及指数
+ * @returns {string} LaTeX字符串
+ */
+function varsToLatex(vars) {
+  return vars.filter(([, exp]) => exp !== 0)
+             .map(([name, exp]) => `${name}${exp !== 1 ? `^{${exp}}` : ''}`).join('');
+}
+
+/**
+ * 生成一项的LaTeX，系数为±1且含字母时省略系数
+ * @param {{coeff: {num: bigint, den: bigint}, vars: Array<[string, number]>}} term - 解析后的项
+ * @returns {string} LaTeX字符串
+ */
+function termToLatex(term) {
+  const { coeff, vars } = term;
+  if (vars.length === 0) return fractionToLatex(coeff);
+  const sign = coeff.num < 0n ? '-' : '';
+  const abs = makeFraction(coeff.num < 0n ? -coeff.num : coeff.num, coeff.den);
+  const coeffLatex = abs.num === 1n && abs.den === 1n ? '' : fractionToLatex(abs);
+  return `${sign}${coeffLatex}${varsToLatex(vars)}`;
+}
+
+/**
+ * 生成某一项的e次幂的LaTeX：单个字母直接加指数，其余情况加括号
+ * @param {{coeff: {num: bigint, den: bigint}, vars: Array<[string, number]>}} term - 解析后的项
+ * @param {number} e - 指数
+ * @returns {string} LaTeX字符串，指数为0时为空
+ */
+function termPowerLatex(term, e) {
+  if (e === 0) return '';
+  const isSingleLetter = term.coeff.num === 1n && term.coeff.den === 1n &&
+                         term.vars.length === 1 && term.vars[0][1] === 1;
+  if (isSingleLetter) return `${term.vars[0][0]}${e !== 1 ? `^{${e}}` : ''}`;
+  return `\\left(${termToLatex(term)}\\right)${e !== 1 ? `^{${e}}` : ''}`;
+}
+
+/**生成二项式展开的LaTeX字符串
+ * 两项由用户输入（默认为 a 和 b），组合数形式显示 C 与各项的幂，数字形式显示化简后的系数与符号
+ * 负数行按牛顿广义二项式定理展开为无穷级数，只显示前 seriesTerms 项
+ * @param {number} row - 杨辉三角的行数，对应二项式的幂次（可以为负整数）
+ * @returns {string} - 二项式展开的LaTeX表达式
+ */
+function showBinomialExpansion(row) {
+  const [termA, termB] = state.binomialTerms.map(parseBinomialTerm);
+  const bLatex = termToLatex(termB);
+  let expansion = `(${termToLatex(termA)}${bLatex.startsWith('-') ? '' : '+'}${bLatex})^{${row}} = `;
+  let hasTerm = false;
+  
+  // 负指数时第一项作为分母，不能为0
+  if (row < 0 && termA.coeff.num === 0n) {
+    return `${expansion}\\text{${t('expansion.zeroFirstTerm')}}`;
+  }
+  const lastK = row < 0 ? state.seriesTerms - 1 : row;
+  
+  // 生成每一项的表达式
+  for (let k = 0; k <= lastK; k++) {
+    const aExp = row - k;
+    const bExp = k;
+    
+    // 根据状态选择显示数字系数还是组合数符号
+    if (!state.useNumericCoeff) {
+      if (k > 0) expansion += " + "; // 项之间添加加号
+      expansion += `${binomLatex(row, k)}${termPowerLatex(termA, aExp)}${termPowerLatex(termB, bExp)}`;
+      hasTerm = true;
+      continue;
+    }
+    
+    // 化简后的系数：C(n,k)·A^(n-k)·B^k，相同字母的指数合并
+    const coeff = multiplyFraction(
+      makeFraction(combination(row, k)),
+      multiplyFraction(powFraction(termA.coeff, aExp), powFraction(termB.coeff, bExp))
+    );
+    if (coeff.num === 0n) continue;
+    
+    const vars = new Map();
+    [[termA, aExp], [termB, bExp]].forEach(([term, e]) => {
+      term.vars.forEach(([name, exp]) => {
+        if (e !== 0) vars.set(name, (vars.get(name) || 0) + exp * e);
+      });
+    });
+    const varsLatex = varsToLatex(Array.from(vars));
+    
+    const negative = coeff.num < 0n;
+    const abs = makeFraction(negative ? -coeff.num : coeff.num, coeff.den);
+    if (hasTerm) {
+      expansion += negative ? ' - ' : ' + ';
+    } else if (negative) {
+      expansion += '-';
+    }
+    // 系数为1时省略不显示，位数较多的系数紧凑显示
+    const isOne = abs.num === 1n && abs.den === 1n;
+    expansion += `${isOne && varsLatex ? '' : fractionToLatex(abs)}${varsLatex}`;
+    hasTerm = true;
+  }
+  
+  if (!hasTerm) expansion += '0';
+  // 负指数展开为无穷级数
+  if (row < 0) expansion += ' + \\cdots';
+  return expansion;
+}
+
+/**
+ * 求广义二项式系数 C(α,k) = α(α-1)...(α-k+1) / k!
+ * @param {{num: bigint, den: bigint}} alpha - 有理数指数 α
+ * @param {number} k - 项的序号
+ * @returns {{num: bigint, den: bigint}} 系数（最简分数）
+ */
+function generalizedBinomial(alpha, k) {
+  let result = makeFraction(1n);
+  for (let i = 0; i < k; i++) {
+    const factor = addFraction(alpha, makeFraction(BigInt(-i)));
+    result = multiplyFraction(result, makeFraction(factor.num, factor.den * BigInt(i + 1)));
+  }
+  return result;
+}
+
+/**
+ * 生成 (1+x)^α 的级数展开LaTeX，α为非负整数时级数有限
+ * @param {{num: bigint, den: bigint}} alpha - 有理数指数 α
+ * @param {number} terms - 显示的项数
+ * @returns {string} LaTeX字符串
+ */
+function showGeneralizedSeries(alpha, terms) {
+  const isPolynomial = alpha.den === 1n && alpha.num >= 0n;
+  const lastK = isPolynomial ? Math.min(Number(alpha.num), terms - 1) : terms - 1;
+  let expansion = `(1+x)^{${fractionToLatex(alpha)}} = `;
+  let hasTerm = false;
+  
+  for (let k = 0; k <= lastK; k++) {
+    if (!state.useNumericCoeff) {
+      if (k > 0) expansion += ' + ';
+      expansion += `${binomLatex(fractionToLatex(alpha), k)}${k > 0 ? `x${k > 1 ? `^{${k}}` : ''}` : ''}`;
+      hasTerm = true;
+      continue;
+    }
+    const coeff = generalizedBinomial(alpha, k);
+    if (coeff.num === 0n) continue;
+    const negative = coeff.num < 0n;
+    const abs = makeFraction(negative ? -coeff.num : coeff.num, coeff.den);
+    if (hasTerm) {
+      expansion += negative ? ' - ' : ' + ';
+    } else if (negative) {
+      expansion += '-';
+    }
+    const power = k > 0 ? `x${k > 1 ? `^{${k}}` : ''}` : '';
+    const isOne = abs.num === 1n && abs.den === 1n;
+    expansion += `${isOne && power ? '' : fractionToLatex(abs)}${power}`;
+    hasTerm = true;
+  }
+  
+  // 未显示完的项用省略号表示
+  if (!isPolynomial || lastK < Number(alpha.num)) expansion += ' + \\cdots';
+  return expansion;
+}
+
+/**
+ * 在广义二项式级数面板中显示 (1+x)^α 的展开、收敛半径说明以及部分和与真实值的比较
+ */
+function renderGeneralizedSeries() {
+  if (!el.seriesContent) return;
+  const alphaTerm = parseBinomialTerm(state.seriesAlpha);
+  const alpha = alphaTerm.coeff;
+  const alphaValue = fractionToNumber(alpha);
+  const x = state.seriesX;
+  const isPolynomial = alpha.den === 1n && alpha.num >= 0n;
+  const renderLatex = latex => katex.renderToString(latex, { throwOnError: false, displayMode: true });
+  
+  // 收敛性：α为非负整数时是有限多项式；否则收敛半径为1，端点处与α有关
+  let convergence;
+  if (isPolynomial) {
+    convergence = t('series.polynomial', { alpha: state.seriesAlpha, terms: alpha.num + 1n });
+  } else {
+    convergence = t('series.infinite', {
+      atOne: t(alphaValue > -1 ? 'series.converges' : 'series.diverges'),
+      atMinusOne: t(alphaValue >= 0 ? 'series.converges' : 'series.diverges')
+    });
+  }
+  
+  // 部分和 S_N(x) 与真实值的比较
+  const trueValue = Math.pow(1 + x, alphaValue);
+  let partial = 0;
+  let tableRows = '';
+  for (let k = 0; k < state.seriesTerms; k++) {
+    partial += fractionToNumber(generalizedBinomial(alpha, k)) * Math.pow(x, k);
+    const error = Number.isFinite(trueValue) ? Math.abs(partial - trueValue).toExponential(2) : '—';
+    tableRows += `<tr><td>${k + 1}</td><td>${partial.toPrecision(10)}</td><td>${error}</td></tr>`;
+  }
+  const trueText = Number.isFinite(trueValue)
+    ? trueValue.toPrecision(10)
+    : t('series.noRealValue');
+  
+  el.seriesContent.innerHTML = `
+    ${renderLatex(showGeneralizedSeries(alpha, state.seriesTerms))}
+    ${renderLatex(`${binomLatex('\\alpha', 'k')} = \\frac{\\alpha(\\alpha-1)\\cdots(\\alpha-k+1)}{k!}`)}
+    <p>${convergence}</p>
+    <p>${t('series.trueValue', { x, value: trueText })}</p>
+    <table class="series-table">
+      <thead><tr><th>${t('series.termsHeader')}</th><th>${t('series.partialSumHeader')} S<sub>N</sub></th><th>${t('series.errorHeader')}</th></tr></thead>
+      <tbody>${tableRows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * 渲染杨辉三角到页面
+ * 功能：清空容器，生成数据并交给DOM或画布后端绘制，再根据状态显示连接线和斜列规律
+ */
+function render() {
+  // 重新渲染会结束正在进行的逐步构造
+  stopConstruction();
+  
+  // 重新渲染前记录焦点是否在三角形中，渲染后恢复
+  const hadFocus = el.triangleContainer.contains(document.activeElement);
+  
+  // 清空容器
+  console.log('开始渲染杨辉三角，行数:', state.rows);
+  el.triangleContainer.innerHTML = '';
+  el.triangleContainer.classList.toggle('sierpinski-active', state.showSierpinski);
+  el.triangleContainer.classList.toggle('hockey-mode', state.currentPattern === 'hockeyStick');
+  clearSVG();
+  
+  // 生成杨辉三角数据（三项式模式下为杨辉金字塔的一层，其他类型按各自的递推关系生成）
+  let triangle;
+  let ruleError = null;
+  if (state.multinomial) {
+    triangle = generateTrinomialLayer(state.rows - 1);
+  } else if (state.triangleType === 'pascal') {
+    triangle = generatePascalTriangle(state.rows);
+  } else {
+    try {
+      triangle = generateRuleTriangle(state.triangleType, state.rows);
+    } catch (err) {
+      // 自定义规则在新增的行上可能计算失败（如不能整除），此时退回杨辉三角
+      ruleError = err.message;
+      useBinomialTriangle();
+      triangle = generatePascalTriangle(state.rows);
+    }
+  }
+  view.triangle = triangle;
+  view.fibonacciSums = null;
+  view.cellClasses.clear();
+  view.primeCache.clear();
+  
+  // 行数较多时自动切换到画布后端，否则逐个创建DOM元素
+  if (state.rows > state.canvasThreshold) {
+    renderCanvasTriangle();
+  } else {
+    renderDomTriangle(triangle);
+  }
+
+  // 负数行只由DOM后端绘制，画布后端下禁用切换按钮并说明原因
+  el.toggleNegativeBtn.disabled = view.canvasActive;
+  el.toggleNegativeBtn.title = view.canvasActive ? t('buttons.negativeUnavailable', { rows: state.canvasThreshold }) : '';
+
+  initGridFocus(hadFocus);
+
+  // 显示数学规律
+  if (state.currentPattern) {
+    highlightPatternCells(state.currentPattern);
+  }
+  updateFeatureInfoPanel();
+  if (ruleError) showRuleError(ruleError);
+  
+  // 重新高亮上次点击格子所在的卢卡斯子三角形块
+  if (state.showLucas && el.lastClicked && el.lastClicked[0] >= 0 && isBinomialView()) {
+    highlightLucasBlock(el.lastClicked[0], el.lastClicked[1]);
+  }
+  if (el.pyramidLayerLabel) el.pyramidLayerLabel.textContent = t('grid.layerLabel', { layer: state.rows - 1 });
+  // 行数变化后高尔顿板的行不存在时重新开始
+  if (state.showGalton && galton.row >= state.rows) resetGalton();
+  // 分布图只对应普通杨辉三角中仍然存在的行
+  if (el.distributionRow !== undefined && (!isBinomialView() || el.distributionRow >= state.rows)) {
+    el.distributionRow = undefined;
+    el.distributionPanel.hidden = true;
+  }
+  
+  updatePermalink();
+  
+  // 使用requestAnimationFrame确保DOM更新完成后再绘制覆盖层
+  requestAnimationFrame(() => requestAnimationFrame(drawOverlays));
+}
+
+/**
+ * DOM渲染后端：每个单元格一个DOM元素，适用于行数较少的情况
+ * @param {Array<Array<bigint>>} triangle - 杨辉三角数据
+ */
+function renderDomTriangle(triangle) {
+  view.canvasActive = false;
+  el.triangleContainer.classList.remove('canvas-mode');
+  
+  // 负数行画在三角形上方
+  if (state.showNegativeRows && isBinomialView()) renderNegativeRows();
+  
+  // 逐行创建DOM元素
+  triangle.forEach((row, n) => {
+    const lineEl = document.createElement('div');
+    lineEl.className = 'pascal-line';
+    lineEl.setAttribute('role', 'row');
+    
+    // 创建行标签（格子的朗读文字已包含行号）
+    const label = document.createElement('div');
+    label.className = 'row-label';
+    label.textContent = t('grid.rowLabel', { n });
+    label.setAttribute('aria-hidden', 'true');
+    lineEl.appendChild(label);
+    
+    // 创建行内容容器
+    const rowEl = document.createElement('div');
+    rowEl.className = 'pascal-row';
+    rowEl.setAttribute('role', 'presentation');
+    
+    // 创建每个单元格
+    row.forEach((value, k) => {
+      const cell = document.createElement('div');
+      cell.className = 'pascal-number';
+      cell.dataset.n = n;      // 存储行索引
+      cell.dataset.k = k;      // 存储列索引
+      cell.dataset.value = valueToString(value); // 存储数值
+      
+      // 应用谢尔宾斯三角、素数高亮等规则样式
+      cell.classList.add(...getCellClasses(n, k, value));
+      
+      // 根据状态选择显示组合数符号还是数字，位数较多的数字紧凑显示
+      const notation = getCellNotation(n, k);
+      const latex = state.useCombination ? notation.latex : formatValueLatex(value);
+      cell.innerHTML = `<span aria-hidden="true">${katex.renderToString(latex, {throwOnError: false})}</span>`;
+      cell.title = `${notation.text} = ${valueToString(value)}`; // 悬停提示，始终显示完整数值
+      
+      // 网格单元格：朗读位置与完整数值（KaTeX标记对屏幕阅读器隐藏），焦点由 initGridFocus 设置
+      cell.setAttribute('role', 'gridcell');
+      cell.setAttribute('aria-label', getCellAnnouncement(n, k, value));
+      cell.tabIndex = -1;
+      
+      // 绑定点击事件
+      cell.onclick = () => {
+        // 添加点击高亮效果
+        cell.classList.add('highlight');
+        setTimeout(() => cell.classList.remove('highlight'), 900);
+        
+        // 处理点击事件，更新信息显示
+        onCellClick(n, k, value);
+      };
+      
+      rowEl.appendChild(cell);
+    });
+    
+    lineEl.appendChild(rowEl);
+    el.triangleContainer.appendChild(lineEl);
+  });
+}
+
+/**
+ * 格子的朗读文字：行、位置、记号与完整数值
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint|{num: bigint, den: bigint}} value - 数值
+ * @returns {string}
+ */
+function getCellAnnouncement(n, k, value) {
+  return t('grid.cell', { n, k, notation: getCellNotation(n, k).text, value: valueToString(value) });
+}
+
+/**
+ * 渲染后设置网格的键盘焦点：焦点格子不存在时回到顶点；渲染前焦点在三角形中时重新聚焦
+ * DOM后端使用可移动的 tabindex，画布后端由容器接收焦点并在画布上画出焦点圈
+ * @param {boolean} refocus - 是否把焦点移回网格
+ */
+function initGridFocus(refocus) {
+  const [n, k] = view.focusCell;
+  if (!view.triangle[n] || view.triangle[n][k] === undefined) view.focusCell = [0, 0];
+  if (view.canvasActive) {
+    el.triangleContainer.tabIndex = 0;
+  } else {
+    el.triangleContainer.removeAttribute('tabindex');
+  }
+  moveGridFocus(...view.focusCell, refocus, false);
+}
+
+/**
+ * 把键盘焦点移到 (n,k)，目标格子不存在时保持不动
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {boolean} [focus=true] - 是否让元素获得焦点（DOM后端）
+ * @param {boolean} [announce=true] - 是否在播报区域朗读该格子
+ */
+function moveGridFocus(n, k, focus = true, announce = true) {
+  if (!view.triangle[n] || view.triangle[n][k] === undefined) return;
+  const [oldN, oldK] = view.focusCell;
+  const previous = getCell(oldN, oldK);
+  const cell = getCell(n, k);
+  view.focusCell = [n, k];
+  
+  if (view.canvasActive) {
+    if (previous) previous.classList.remove('keyboard-focus');
+    if (focus) {
+      if (document.activeElement !== el.triangleContainer) el.triangleContainer.focus();
+      scrollCanvasCellIntoView(n, k);
+    }
+    // 只有容器获得焦点时才画出焦点圈，鼠标用户看不到
+    if (document.activeElement === el.triangleContainer) cell.classList.add('keyboard-focus');
+  } else {
+    if (previous) previous.tabIndex = -1;
+    cell.tabIndex = 0;
+    if (focus) cell.focus();
+  }
+  if (announce) el.gridAnnouncer.textContent = getCellAnnouncement(n, k, view.triangle[n][k]);
+}
+
+/**
+ * 画布后端：焦点格子不在可见区域时滚动容器
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ */
+function scrollCanvasCellIntoView(n, k) {
+  const { x, y } = getCanvasCellPosition(n, k);
+  const margin = view.layout.spacing;
+  const container = el.triangleContainer;
+  if (x - margin < container.scrollLeft) container.scrollLeft = x - margin;
+  if (x + margin > container.scrollLeft + container.clientWidth) container.scrollLeft = x + margin - container.clientWidth;
+  if (y - margin < container.scrollTop) container.scrollTop = y - margin;
+  if (y + margin > container.scrollTop + container.clientHeight) container.scrollTop = y + margin - container.clientHeight;
+}
+
+/**
+ * 键盘激活格子：与鼠标点击相同（点击高亮并更新公式与信息面板）
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ */
+function activateGridCell(n, k) {
+  if (!view.triangle[n] || view.triangle[n][k] === undefined) return;
+  const cell = getCell(n, k);
+  if (view.canvasActive) {
+    cell.classList.add('highlight');
+    setTimeout(() => cell.classList.remove('highlight'), 900);
+    onCellClick(n, k, view.triangle[n][k]);
+  } else {
+    cell.onclick();
+  }
+}
+
+/**
+ * 在三角形上方绘制负数行 C(-m,k)，k = 0..seriesTerms-1
+ * 负数行向右无限延伸；第 -m 行第k个数位于第0行顶点右侧 (k + m/2) 个格子处，
+ * 因而仍满足"每个数等于上方两数之和"
+ */
+function renderNegativeRows() {
+  const terms = state.seriesTerms;
+  
+  for (let n = -state.negativeRows; n < 0; n++) {
+    const lineEl = document.createElement('div');
+    lineEl.className = 'pascal-line negative-line';
+    lineEl.setAttribute('role', 'row');
+    
+    const label = document.createElement('div');
+    label.className = 'row-label';
+    label.textContent = t('grid.rowLabel', { n });
+    label.setAttribute('aria-hidden', 'true');
+    lineEl.appendChild(label);
+    
+    // 行内容居中排列，整体右移使第一个数对齐到 -n/2 个格子处
     const rowEl = document.createElement('div');
     rowEl.className = 'pascal-row';
+    rowEl.setAttribute('role', 'presentation');
+    rowEl.style.transform = `translateX(calc(var(--cell-pitch) * ${(-n + terms - 1) / 2}))`;
+    
+    for (let k = 0; k < terms; k++) {
+      const value = combination(n, k);
+      const cell = document.createElement('div');
+      cell.className = 'pascal-number generalized-cell';
+      if (value < 0n) cell.classList.add('negative-value');
+      cell.dataset.n = n;
+      cell.dataset.k = k;
+      cell.dataset.value = value;
+      
+      const latex = state.useCombination ? binomLatex(n, k) : formatValueLatex(value);
+      cell.innerHTML = `<span aria-hidden="true">${katex.renderToString(latex, {throwOnError: false})}</span>`;
+      cell.title = `C(${n},${k}) = ${value}`;
+      cell.setAttribute('role', 'gridcell');
+      cell.setAttribute('aria-label', t('grid.cell', { n, k, notation: `C(${n},${k})`, value }));
+      cell.onclick = () => onCellClick(n, k, value);
+      rowEl.appendChild(cell);
+    }
+    
+    // 省略号表示向右无限延伸（绝对定位在最后一个格子右侧，不参与行内居中）
+    const more = document.createElement('div');
+    more.className = 'negative-more';
+    more.style.left = `calc(50% + var(--cell-pitch) * ${terms / 2})`;
+    more.textContent = '⋯';
+    more.setAttribute('aria-hidden', 'true');
+    rowEl.appendChild(more);
+    
+    lineEl.appendChild(rowEl);
+    el.triangleContainer.appendChild(lineEl);
+  }
+}
+
+/**
+ * 根据当前状态计算单元格应用的规则样式类（DOM与画布后端共用）
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint} value - 单元格数值
+ * @returns {Array<string>} - 样式类名数组
+ */
+function getCellClasses(n, k, value) {
+  const classes = [];
+  
+  // 如果启用了谢尔宾斯三角（模 m 余数着色）效果，按余数添加颜色类，余数非0时应用三角形样式
+  if (state.showSierpinski) {
+    const residue = getResidue(value, BigInt(state.modulus));
+    classes.push(`residue-${residue}`);
+    if (residue !== 0n) classes.push('triangle');
+  }
+  
+  // 如果启用了素数高亮，且数值为素数，则应用圆角方形样式（结果按位置缓存）
+  if (state.showPrimes) {
+    const key = `${n},${k}`;
+    if (!view.primeCache.has(key)) {
+      view.primeCache.set(key, typeof value === 'bigint' && isPrime(value));
+    }
+    if (view.primeCache.get(key)) classes.push('rounded-square');
+  }
+  
+  // 如果启用了p进赋值热力图，按 p 整除 C(n,k) 的次数添加色阶类
+  if (state.showValuation) {
+    const level = Math.min(getKummerAddition(k, n - k, state.valuationPrime).carryCount, state.maxValuationLevel);
+    classes.push(`valuation-${level}`);
+  }
+  
+  // 位数较多的数字使用较小字号
+  if (!state.useCombination && isLongValue(value)) {
+    classes.push('long-value');
+  }
+  
+  return classes;
+}
+
+/**
+ * 绘制所有覆盖层：连接线、行总和、对称线和斐波那契对角线
+ * 功能：先清空SVG，再按状态依次绘制，窗口缩放或滚动时也调用此函数重绘
+ */
+function drawOverlays() {
+  clearSVG();
+  if (view.canvasActive) updateCanvasOffset();
+  
+  // 逐步构造时只绘制当前格子的父项连线
+  if (construction.active) {
+    drawConstructionEdges();
+    return;
+  }
+  
+  if (state.showLines) drawConnections();
+  if (state.showRowSums) drawRowSums();
+  if (state.showSymmetryLine) drawVerticalSymmetryLine();
+  if (state.currentPattern === 'fibonacci') drawFibonacciDiagonals();
+  if (state.currentPattern === 'hockeyStick') drawHockeyStick();
+  if (state.currentPattern === 'square') drawSquareStructure();
+  if (state.currentPattern === 'rowMax') drawCentralColumnLine();
+  if (state.currentPattern === 'power') drawPowerLabels();
+  if (state.currentPattern === 'paths') drawLatticePaths();
+  if (state.showGalton) drawGaltonBoard();
+}
+
+/**
+ * 获取指定位置的单元格
+ * DOM后端返回对应的DOM元素；画布后端返回具有相同接口（dataset、classList、style）的虚拟单元格
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {HTMLElement|Object|null} - 单元格，不存在时返回null
+ */
+function getCell(n, k) {
+  if (!view.canvasActive) {
+    return el.triangleContainer.querySelector(`.pascal-number[data-n='${n}'][data-k='${k}']`);
+  }
+  if (!view.triangle[n] || view.triangle[n][k] === undefined) return null;
+  return createVirtualCell(n, k);
+}
+
+/**
+ * 获取当前渲染的所有单元格（画布后端只返回附加过样式类的虚拟单元格）
+ * @returns {Array<HTMLElement|Object>} - 单元格数组
+ */
+function getRenderedCells() {
+  if (!view.canvasActive) {
+    return Array.from(el.triangleContainer.querySelectorAll('.pascal-number:not(.generalized-cell)'));
+  }
+  return Array.from(view.cellClasses.keys()).map(key => {
+    const [n, k] = key.split(',').map(Number);
+    return createVirtualCell(n, k);
+  });
+}
+
+/**
+ * 获取单元格中心点相对于 #triangle-wrapper 的坐标与尺寸
+ * DOM后端通过 getBoundingClientRect 测量，画布后端由布局直接计算
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {{x: number, y: number, width: number, height: number}|null} - 几何信息，不存在时返回null
+ */
+function getCellGeometry(n, k) {
+  if (view.canvasActive) {
+    if (!view.triangle[n] || view.triangle[n][k] === undefined) return null;
+    const { x, y } = getCanvasCellPosition(n, k);
+    const size = view.layout.radius * 2;
+    return { x: x + view.offsetX, y: y + view.offsetY, width: size, height: size };
+  }
+  
+  const cell = getCell(n, k);
+  if (!cell) return null;
+  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
+  const rect = cell.getBoundingClientRect();
+  return {
+    x: rect.left + rect.width / 2 - containerRect.left,
+    y: rect.top + rect.height / 2 - containerRect.top,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+/**
+ * 判断覆盖层上的点是否在可见区域内（DOM后端始终可见）
+ * @param {number} x - 相对外层容器的x坐标
+ * @param {number} y - 相对外层容器的y坐标
+ * @returns {boolean} - 可见返回true
+ */
+function isPointVisible(x, y) {
+  if (!view.canvasActive || view.exportAllRows) return true;
+  const margin = view.layout.spacing * 2;
+  const width = el.triangleContainer.clientWidth;
+  const height = el.triangleContainer.clientHeight;
+  return x >= view.offsetX - margin - view.layout.spacing && x <= view.offsetX + width + margin &&
+         y >= view.offsetY - margin && y <= view.offsetY + height + margin;
+}
+
+/**
+ * 获取当前可见的行范围（DOM后端与导出图片时为全部行）
+ * @returns {Array<number>} - [起始行, 结束行]
+ */
+function getVisibleRowRange() {
+  if (!view.canvasActive || view.exportAllRows) return [0, state.rows - 1];
+  const { padY, rowHeight } = view.layout;
+  const scrollTop = el.triangleContainer.scrollTop;
+  const height = el.triangleContainer.clientHeight;
+  const first = Math.floor((scrollTop - padY) / rowHeight) - 1;
+  const last = Math.ceil((scrollTop + height - padY) / rowHeight) + 1;
+  return [Math.max(0, first), Math.min(state.rows - 1, last)];
+}
+
+/**
+ * 画布渲染后端：只绘制可见区域，适用于成百上千行的大三角形
+ * 功能：创建与完整三角形等大的占位元素以产生滚动条，画布始终覆盖当前可见区域
+ */
+function renderCanvasTriangle() {
+  view.canvasActive = true;
+  el.triangleContainer.classList.add('canvas-mode');
+  view.layout = computeCanvasLayout(state.rows);
+  
+  // 占位元素撑开滚动区域
+  const sizer = document.createElement('div');
+  sizer.className = 'canvas-sizer';
+  sizer.style.width = `${view.layout.width}px`;
+  sizer.style.height = `${view.layout.height}px`;
+  
+  const canvas = document.createElement('canvas');
+  canvas.className = 'triangle-canvas';
+  canvas.onclick = onCanvasClick;
+  canvas.onmousemove = onCanvasHover;
+  sizer.appendChild(canvas);
+  el.triangleContainer.appendChild(sizer);
+  el.canvas = canvas;
+  
+  updateCanvasOffset();
+  paintCanvas();
+}
+
+/**
+ * 计算画布后端的坐标布局
+ * @param {number} rows - 行数
+ * @returns {Object} - 布局参数：格距、行高、半径、边距和总尺寸
+ */
+function computeCanvasLayout(rows) {
+  const available = Math.max(el.triangleContainer.clientWidth, 320);
+  // 最长一行的格子数（杨辉三角为行数，三项式三角约为两倍）
+  const columns = view.triangle[rows - 1].length;
+  // 格距随行数缩小，但保持在可点击的范围内
+  const spacing = Math.max(6, Math.min(48, Math.floor(available / columns)));
+  // 谢尔宾斯三角模式下行间距收紧为等边三角形排列
+  const rowHeight = spacing * (state.showSierpinski ? 0.87 : 1.1);
+  const labelWidth = spacing >= 12 ? 56 : 0;
+  const padX = 10;
+  const padY = 10;
+  return {
+    rows,
+    columns,
+    spacing,
+    rowHeight,
+    radius: spacing * 0.42,
+    labelWidth,
+    padX,
+    padY,
+    // 右侧预留空间给行总和、斐波那契等标签
+    width: padX * 2 + labelWidth + columns * spacing + 200,
+    height: padY * 2 + rows * rowHeight
+  };
+}
+
+/**
+ * 计算单元格中心在画布内容坐标系中的位置
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {{x: number, y: number}} - 中心点坐标
+ */
+function getCanvasCellPosition(n, k) {
+  const { columns, spacing, rowHeight, labelWidth, padX, padY } = view.layout;
+  // 每行居中排列
+  return {
+    x: padX + labelWidth + (columns - view.triangle[n].length) * spacing / 2 + k * spacing + spacing / 2,
+    y: padY + n * rowHeight + rowHeight / 2
+  };
+}
+
+/**
+ * 更新画布内容相对外层容器的偏移量（随滚动变化）
+ */
+function updateCanvasOffset() {
+  const wrapperRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
+  const containerRect = el.triangleContainer.getBoundingClientRect();
+  view.offsetX = containerRect.left - wrapperRect.left - el.triangleContainer.scrollLeft;
+  view.offsetY = containerRect.top - wrapperRect.top - el.triangleContainer.scrollTop;
+}
+
+/**
+ * 安排一次画布重绘，同一帧内的多次请求合并为一次
+ */
+function scheduleCanvasRepaint() {
+  if (view.repaintPending) return;
+  view.repaintPending = true;
+  requestAnimationFrame(() => {
+    view.repaintPending = false;
+    if (view.canvasActive) {
+      updateCanvasOffset();
+      paintCanvas();
+    }
+  });
+}
+
+/**
+ * 绘制画布的可见区域
+ * 功能：按单元格的样式类选择形状与颜色，格子足够大时绘制数值和行号
+ */
+function paintCanvas() {
+  const canvas = el.canvas;
+  const ctx = canvas && canvas.getContext('2d');
+  if (!ctx) return;
+  
+  const { spacing, radius, padX } = view.layout;
+  const scrollLeft = el.triangleContainer.scrollLeft;
+  const scrollTop = el.triangleContainer.scrollTop;
+  const width = el.triangleContainer.clientWidth;
+  const height = el.triangleContainer.clientHeight;
+  const dpr = window.devicePixelRatio || 1;
+  
+  // 画布始终覆盖可见区域
+  canvas.width = width * dpr;
+  canvas.height = height * dpr;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  canvas.style.left = `${scrollLeft}px`;
+  canvas.style.top = `${scrollTop}px`;
+  ctx.setTransform(dpr, 0, 0, dpr, -scrollLeft * dpr, -scrollTop * dpr);
+  ctx.clearRect(scrollLeft, scrollTop, width, height);
+  
+  const showText = spacing >= 28;
+  const [firstRow, lastRow] = getVisibleRowRange();
+  for (let n = firstRow; n <= lastRow; n++) {
+    const row = view.triangle[n];
+    
+    // 行号
+    if (view.layout.labelWidth > 0) {
+      const { y } = getCanvasCellPosition(n, 0);
+      ctx.fillStyle = '#1e293b';
+      ctx.font = `600 ${Math.min(14, spacing * 0.5)}px sans-serif`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(`${n}`, padX, y);
+    }
+    
+    for (let k = 0; k < row.length; k++) {
+      const { x, y } = getCanvasCellPosition(n, k);
+      if (x < scrollLeft - spacing || x > scrollLeft + width + spacing) continue;
+      
+      const value = row[k];
+      const classes = getCanvasCellClassList(n, k, value);
+      drawCanvasCell(ctx, x, y, radius, classes);
+      
+      if (showText) {
+        const text = state.useCombination ? getCellNotation(n, k).text : formatValueText(value);
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        // 文本超出格子时缩小字号
+        let fontSize = spacing * 0.32;
+        ctx.font = `700 ${fontSize}px sans-serif`;
+        const textWidth = ctx.measureText(text).width;
+        if (textWidth > radius * 1.8) {
+          fontSize *= radius * 1.8 / textWidth;
+          ctx.font = `700 ${fontSize}px sans-serif`;
+        }
+        ctx.fillText(text, x, y);
+      }
+    }
+  }
+}
+
+/**
+ * 获取画布单元格的全部样式类：规则样式类与高亮等附加样式类
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint} value - 单元格数值
+ * @returns {Array<string>} - 样式类名数组
+ */
+function getCanvasCellClassList(n, k, value) {
+  const extra = view.cellClasses.get(`${n},${k}`);
+  const classes = getCellClasses(n, k, value);
+  // 斐波那契规律下每个格子都在某条对角线上，绘制时直接加上高亮类
+  if (state.currentPattern === 'fibonacci') classes.push('highlight-fibonacci');
+  return extra ? classes.concat(Array.from(extra)) : classes;
+}
+
+/**
+ * 根据样式类确定单元格的填充颜色（画布后端与图片导出共用）
+ * @param {Array<string>} classes - 样式类名数组
+ * @returns {string} - 颜色值
+ */
+function getCellFillColor(classes) {
+  const paint = CANVAS_CELL_COLORS.find(([name]) => classes.includes(name));
+  if (paint) return paint[1];
+  // 余数着色与赋值热力图的颜色定义在CSS变量中，变量名与类名相同
+  const colorClass = classes.find(name => name.startsWith('residue-') || name.startsWith('valuation-'));
+  return colorClass ? getCssVarColor(`--${colorClass}`) : '#6366f1';
+}
+
+/**
+ * 在画布上绘制单个单元格，形状与颜色对应DOM后端的样式类
+ * @param {CanvasRenderingContext2D} ctx - 画布上下文
+ * @param {number} x - 中心x坐标
+ * @param {number} y - 中心y坐标
+ * @param {number} r - 半径
+ * @param {Array<string>} classes - 样式类名数组
+ */
+function drawCanvasCell(ctx, x, y, r, classes) {
+  ctx.beginPath();
+  if (classes.includes('triangle')) {
+    // 三角形：略大于圆形，使相邻的三角形拼接成谢尔宾斯图案
+    const t = r * 1.2;
+    ctx.moveTo(x, y - t);
+    ctx.lineTo(x - t, y + t * 0.75);
+    ctx.lineTo(x + t, y + t * 0.75);
+    ctx.closePath();
+  } else if (classes.includes('hexagon')) {
+    ctx.moveTo(x - r / 2, y - r);
+    ctx.lineTo(x + r / 2, y - r);
+    ctx.lineTo(x + r, y);
+    ctx.lineTo(x + r / 2, y + r);
+    ctx.lineTo(x - r / 2, y + r);
+    ctx.lineTo(x - r, y);
+    ctx.closePath();
+  } else if (classes.includes('rounded-square')) {
+    ctx.rect(x - r, y - r, r * 2, r * 2);
+  } else {
+    ctx.arc(x, y, r, 0, Math.PI * 2);
+  }
+  ctx.fillStyle = getCellFillColor(classes);
+  ctx.fill();
+  
+  // 点击高亮与卢卡斯子三角形块：绘制外圈，保留原有填充色
+  if (classes.includes('highlight')) {
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#e74c3c';
+    ctx.stroke();
+  } else if (classes.includes('lucas-block')) {
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#f39c12';
+    ctx.stroke();
+  }
+  // 键盘焦点：外侧再画一圈
+  if (classes.includes('keyboard-focus')) {
+    ctx.beginPath();
+    ctx.arc(x, y, r + 4, 0, Math.PI * 2);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#f59e0b';
+    ctx.stroke();
+  }
+}
+
+/**
+ * 创建画布后端的虚拟单元格，提供与DOM单元格相同的常用接口
+ * 样式类保存在 view.cellClasses 中，修改后自动重绘画布
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {Object} - 虚拟单元格
+ */
+function createVirtualCell(n, k) {
+  const key = `${n},${k}`;
+  const value = view.triangle[n][k];
+  const getClasses = () => view.cellClasses.get(key) || new Set();
+  const setClasses = classes => {
+    if (classes.size > 0) {
+      view.cellClasses.set(key, classes);
+    } else {
+      view.cellClasses.delete(key);
+    }
+    scheduleCanvasRepaint();
+  };
+  
+  return {
+    dataset: { n: `${n}`, k: `${k}`, value: valueToString(value) },
+    style: {},
+    classList: {
+      add: (...names) => setClasses(new Set([...getClasses(), ...names])),
+      remove: (...names) => setClasses(new Set([...getClasses()].filter(c => !names.includes(c)))),
+      contains: name => getClasses().has(name) || getCellClasses(n, k, value).includes(name),
+      toggle: (name, force) => {
+        const on = force === undefined ? !getClasses().has(name) : force;
+        if (on) {
+          setClasses(new Set([...getClasses(), name]));
+        } else {
+          setClasses(new Set([...getClasses()].filter(c => c !== name)));
+        }
+        return on;
+      }
+    },
+    animate: () => null
+  };
+}
+
+/**
+ * 根据画布上的鼠标位置找到对应的单元格
+ * @param {MouseEvent} event - 鼠标事件
+ * @returns {{n: number, k: number}|null} - 单元格位置，未命中时返回null
+ */
+function getCanvasCellAt(event) {
+  const { rowHeight, padY, radius } = view.layout;
+  // 画布位于滚动位置，offsetX/offsetY 加上滚动量即为内容坐标
+  const x = event.offsetX + el.triangleContainer.scrollLeft;
+  const y = event.offsetY + el.triangleContainer.scrollTop;
+  const n = Math.floor((y - padY) / rowHeight);
+  if (n < 0 || n >= state.rows) return null;
+  
+  const { x: x0 } = getCanvasCellPosition(n, 0);
+  const k = Math.round((x - x0) / view.layout.spacing);
+  if (k < 0 || k >= view.triangle[n].length) return null;
+  
+  const center = getCanvasCellPosition(n, k);
+  if (Math.hypot(x - center.x, y - center.y) > radius * 1.2) return null;
+  return { n, k };
+}
+
+/**
+ * 画布点击处理：与DOM单元格的点击效果一致
+ * @param {MouseEvent} event - 鼠标事件
+ */
+function onCanvasClick(event) {
+  const hit = getCanvasCellAt(event);
+  if (!hit) return;
+  const { n, k } = hit;
+  const cell = getCell(n, k);
+  
+  // 添加点击高亮效果
+  cell.classList.add('highlight');
+  setTimeout(() => cell.classList.remove('highlight'), 900);
+  
+  onCellClick(n, k, view.triangle[n][k]);
+}
+
+/**
+ * 画布悬停处理：在提示中显示完整数值
+ * @param {MouseEvent} event - 鼠标事件
+ */
+function onCanvasHover(event) {
+  const hit = getCanvasCellAt(event);
+  el.canvas.style.cursor = hit ? 'pointer' : 'default';
+  el.canvas.title = hit ? `${getCellNotation(hit.n, hit.k).text} = ${valueToString(view.triangle[hit.n][hit.k])}` : '';
+}
+
+/**
+ * 点击杨辉三角单元格时的处理函数
+ * 功能：更新底部二项式展开公式和右侧信息面板的内容
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint} value - 单元格数值
+ */
+function onCellClick(n, k, value) {
+  // 记录最后点击的单元格信息，用于后续可能的更新
+  el.lastClicked = [n, k, value];
+  updatePermalink();
+  
+  // 三项式模式下显示多项式展开中的对应项
+  if (state.multinomial) {
+    onMultinomialCellClick(n, k, value);
+    return;
+  }
+  
+  // 其他三角形类型显示递推关系与行和
+  if (state.triangleType !== 'pascal') {
+    onRuleCellClick(n, k, value);
+    return;
+  }
+  
+  // 更新底部显示的二项式展开公式
+  const binomLaTeX = showBinomialExpansion(n);
+  showExpansion(binomLaTeX);
+  
+  // 更新右侧信息面板，显示当前选择的组合数和公式
+  const combLaTeX = `${binomLatex(n, k)} = ${value}`;
+  // 负数行使用广义二项式系数公式
+  const combFormula = n < 0
+    ? `${binomLatex(n, k)} = (-1)^{${k}} ${binomLatex(-n + k - 1, k)} = \\frac{(${n})(${n - 1})\\cdots(${n - k + 1})}{${k}!}`
+    : `${binomLatex('n', 'k')} = \\frac{n!}{k!(n-k)!}`;
+  
+  // 位数较多时额外显示位数
+  const digitsInfo = isLongValue(value) ? `<div style="margin-top:8px">${t('cellInfo.digits', { count: value.toString().length })}</div>` : '';
+  
+  el.infoContent.innerHTML = `
+      <div><strong>${t('cellInfo.selected')}</strong> ${t('cellInfo.position', { n, k })}</div>
+      <div style="margin-top:8px">${katex.renderToString(combLaTeX, {throwOnError: false, displayMode: true})}</div>
+      ${digitsInfo}
+      <div style="margin-top:8px; font-size:0.95rem;">${katex.renderToString(combFormula, {throwOnError: false, displayMode: true})}</div>
+  `;
+  
+  // 负数行只显示广义二项式系数，下面的数论规律只适用于非负行
+  if (n < 0) return;
+  
+  // 二项分布与正态近似
+  renderDistributionChart(n);
+  
+  // 高尔顿板改为落入所点击的行
+  if (state.showGalton && n > 0 && n !== galton.row) {
+    resetGalton();
+    drawOverlays();
+  }
+  
+  // 卢卡斯定理分解
+  if (state.showLucas) {
+    showLucasExplanation(n, k, value);
+  }
+  
+  // p进赋值：展示库默尔定理的进位加法
+  if (state.showValuation) {
+    el.infoContent.insertAdjacentHTML('beforeend', renderKummerAddition(n, k, value));
+  }
+  
+  // 乘方规律：逐步展示所点击行的进位过程
+  if (state.currentPattern === 'power') {
+    state.powerRow = n;
+    refreshPowerCarrySteps();
+  }
+  
+  // 格路计数：枚举从顶点到所点击格子的路径
+  if (state.currentPattern === 'paths') {
+    state.pathTarget = [n, k];
+    selectLatticePath(0n);
+  }
+}
+
+/**
+ * 生成代入父项数值的递推式，系数以 '-' 开头时表示相减
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint|{num: bigint, den: bigint}} value - 单元格数值
+ * @returns {string} LaTeX字符串，边界值只写出数值
+ */
+function getRecurrenceLatex(n, k, value) {
+  const type = TRIANGLE_TYPES[state.triangleType];
+  const notation = type.notation(n, k).latex;
+  const parents = type.parents(n, k);
+  const joinTerms = terms => terms.map((term, i) => {
+    if (term.coeff.startsWith('-')) return ` - ${term.coeff.slice(1)}${term.body}`;
+    return `${i > 0 ? ' + ' : ''}${term.coeff}${term.body}`;
+  }).join('');
+  if (type.recurrenceLatex) return type.recurrenceLatex(n, k, value);
+  if (parents.length === 0) return `${notation} = ${formatValueLatex(value)}`;
+  return `${notation} = ${joinTerms(parents.map(p => ({ coeff: p.coeff, body: type.notation(p.n, p.k).latex })))}` +
+    ` = ${joinTerms(parents.map(p => ({ coeff: p.coeff, body: formatValueLatex(view.triangle[p.n][p.k]) })))}` +
+    ` = ${formatValueLatex(value)}`;
+}
+
+/**
+ * 在展开面板中显示公式，并记录其LaTeX源码以便复制
+ * @param {string|null} latex - LaTeX字符串，null 表示恢复为提示文字
+ */
+function showExpansion(latex) {
+  el.expansionLatex = latex;
+  el.copyExpansionBtn.disabled = !latex;
+  el.expansionContent.innerHTML = latex
+    ? katex.renderToString(latex, { throwOnError: false, displayMode: true })
+    : t('expansion.placeholder');
+}
+
+/**
+ * 其他三角形类型的点击处理：在展开面板中显示该行的行和关系，在信息面板中显示定义与代入父项的递推式
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint|{num: bigint, den: bigint}} value - 单元格数值
+ */
+function onRuleCellClick(n, k, value) {
+  const type = TRIANGLE_TYPES[state.triangleType];
+  const renderDisplay = latex => katex.renderToString(latex, { throwOnError: false, displayMode: true });
+  
+  // 展开面板：该行各数之和
+  const rowSum = sumRow(view.triangle[n]);
+  const sumFormula = getRowSumLabel(n);
+  showExpansion(
+    `${view.triangle[n].map(formatValueLatex).join(' + ')} = ${formatValueLatex(rowSum)}` +
+    (sumFormula ? ` = ${sumFormula.replace(/_(\d+)/, '_{$1}').replace(/\^(\d+)/, '^{$1}')}` : '')
+  );
+  
+  const parents = type.parents(n, k);
+  const recurrence = getRecurrenceLatex(n, k, value);
+  
+  el.infoContent.innerHTML = `
+      <div><strong>${t('cellInfo.typeLabel', { name: type.name })}</strong> ${t('cellInfo.position', { n, k })}</div>
+      <div style="margin-top:8px">${renderDisplay(recurrence)}</div>
+      ${parents.length === 0 ? `<div style="margin-top:8px">${t('cellInfo.edgeValue')}</div>` : ''}
+      <div style="margin-top:8px; font-size:0.95rem;">${renderDisplay(type.definition)}</div>
+      <p style="margin-top:8px">${type.description}</p>
+  `;
+}
+
+/**
+ * 三项式模式下的点击处理：在展开面板中显示 (a+b+c)^n 中对应的项，在信息面板中显示系数公式与三个父项
+ * @param {number} i - 行索引
+ * @param {number} j - 列索引
+ * @param {bigint} value - 单元格数值
+ */
+function onMultinomialCellClick(i, j, value) {
+  const n = state.rows - 1;
+  const [ea, eb, ec] = getTrinomialExponents(i, j);
+  const powerLatex = (letter, e) => e === 0 ? '' : `${letter}${e > 1 ? `^{${e}}` : ''}`;
+  const termLatex = (exps, coeff) => {
+    const letters = powerLatex('a', exps[0]) + powerLatex('b', exps[1]) + powerLatex('c', exps[2]);
+    // 根据状态选择显示数字系数还是多项式系数符号
+    const coeffLatex = state.useNumericCoeff
+      ? (coeff === 1n && letters ? '' : formatValueLatex(coeff))
+      : `\\binom{${n}}{${exps.join(',')}}`;
+    return `${coeffLatex}${letters}`;
+  };
+  
+  // 项数不多时写出完整展开并标出所点击的项，否则只写出该项
+  let expansion = `(a+b+c)^{${n}} = `;
+  if (n <= 4) {
+    const terms = [];
+    for (let r = 0; r <= n; r++) {
+      for (let c = 0; c <= r; c++) {
+        const term = termLatex(getTrinomialExponents(r, c), view.triangle[r][c]);
+        terms.push(r === i && c === j ? `\\boxed{${term}}` : term);
+      }
+    }
+    expansion += terms.join(' + ');
+  } else {
+    expansion += `\\cdots + \\boxed{${termLatex([ea, eb, ec], value)}} + \\cdots`;
+  }
+  showExpansion(expansion);
+  
+  // 三个父项：分别去掉一个 a、b、c（位于上一层），指数为负的父项为0
+  const parents = [[ea - 1, eb, ec], [ea, eb - 1, ec], [ea, eb, ec - 1]]
+    .filter(exps => exps.every(e => e >= 0))
+    .map(exps => ({
+      latex: `\\binom{${n - 1}}{${exps.join(',')}}`,
+      value: combination(n - 1, exps[1] + exps[2]) * combination(exps[1] + exps[2], exps[2])
+    }));
+  const coeffLatex = `\\binom{${n}}{${ea},${eb},${ec}} = \\frac{${n}!}{${ea}!\\,${eb}!\\,${ec}!} = ${binomLatex(n, i)} ${binomLatex(i, j)} = ${value}`;
+  const parentLatex = n > 0
+    ? `${parents.map(p => p.latex).join(' + ')} = ${parents.map(p => p.value).join(' + ')} = ${value}`
+    : '';
+  
+  el.infoContent.innerHTML = `
+      <div><strong>${t('cellInfo.selected')}</strong> ${t('cellInfo.pyramidPosition', { layer: n, i, j })}</div>
+      <div style="margin-top:8px">${katex.renderToString(coeffLatex, {throwOnError: false, displayMode: true})}</div>
+      ${parentLatex ? `<div style="margin-top:8px">${t('cellInfo.pyramidParents')}${katex.renderToString(parentLatex, {throwOnError: false, displayMode: true})}</div>` : ''}
+  `;
+}
+
+/**
+ * 在p进制下计算 a + b，记录每一位的数字与进位（库默尔定理）
+ * @param {number} a - 加数（即k）
+ * @param {number} b - 加数（即n-k）
+ * @param {number} p - 素数进制
+ * @returns {{aDigits: Array<number>, bDigits: Array<number>, sumDigits: Array<number>, carries: Array<number>, carryCount: number}}
+ *          各位数字与进入每一位的进位（均为低位在前），以及进位总次数
+ */
+function getKummerAddition(a, b, p) {
+  const aDigits = toBaseDigits(a, p);
+  const bDigits = toBaseDigits(b, p);
+  const sumDigits = toBaseDigits(a + b, p);
+  const length = sumDigits.length;
+  
+  const carries = [0];
+  let carryCount = 0;
+  for (let i = 0; i < length; i++) {
+    const digitSum = (aDigits[i] || 0) + (bDigits[i] || 0) + carries[i];
+    const carry = digitSum >= p ? 1 : 0;
+    carries.push(carry);
+    carryCount += carry;
+  }
+  
+  return { aDigits, bDigits, sumDigits, carries: carries.slice(0, length), carryCount };
+}
+
+/**
+ * 生成库默尔定理进位加法的展示内容
+ * 功能：以竖式列出 k + (n-k) = n 的p进制加法，标出进位，并用精确的BigInt除法验证赋值
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint} value - 单元格数值
+ * @returns {string} - HTML字符串
+ */
+function renderKummerAddition(n, k, value) {
+  const p = state.valuationPrime;
+  const { aDigits, bDigits, sumDigits, carries, carryCount } = getKummerAddition(k, n - k, p);
+  const length = sumDigits.length;
+  
+  // 竖式的每一行，高位在前；进位行标出进入该位的进位
+  const column = (digits, i) => (digits[i] === undefined ? '' : `${digits[i]}`);
+  const rowOf = digits => Array.from({ length }, (_, j) => column(digits, length - 1 - j)).join(' & ');
+  const carryRow = Array.from({ length }, (_, j) => {
+    const i = length - 1 - j;
+    return carries[i] ? '\\color{#c0392b}{\\scriptstyle 1}' : '';
+  }).join(' & ');
+  const additionLatex = `\\begin{array}{r|${'c'.repeat(length)}}
+    \\text{${t('kummer.carryRow')}} & ${carryRow} \\\\
+    k = ${k} & ${rowOf(aDigits)} \\\\
+    n-k = ${n - k} & ${rowOf(bDigits)} \\\\ \\hline
+    n = ${n} & ${rowOf(sumDigits)}
+  \\end{array}`;
+  
+  // 用精确的BigInt除法直接求 p 的指数，验证进位次数
+  let exponent = 0;
+  let rest = value;
+  const prime = BigInt(p);
+  while (rest > 0n && rest % prime === 0n) {
+    rest /= prime;
+    exponent++;
+  }
+  
+  return `
+    <div class="kummer-addition">
+      <strong>${t('kummer.title', { p })}</strong>
+      ${katex.renderToString(additionLatex, { throwOnError: false, displayMode: true })}
+      <p>${t('kummer.carries', {
+        count: carryCount,
+        formula: katex.renderToString(`${p}^{${carryCount}} \\,\\|\\, ${binomLatex(n, k)}`, { throwOnError: false })
+      })}</p>
+      <p>${t('kummer.check', { n, k, exponent, p })}</p>
+    </div>
+  `;
+}
+
+/**
+ * 在卢卡斯定理面板中解释 C(n,k) mod p
+ * 功能：将n和k写成p进制，列出逐位小组合数的乘积，并高亮所在的自相似子三角形块
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @param {bigint} value - 单元格数值
+ */
+function showLucasExplanation(n, k, value) {
+  if (!el.lucasContent) return;
+  const p = state.lucasPrime;
+  
+  // 逐位展开，高位在前，k补零到与n同样的位数
+  const nDigits = toBaseDigits(n, p);
+  const kDigits = toBaseDigits(k, p);
+  while (kDigits.length < nDigits.length) kDigits.push(0);
+  nDigits.reverse();
+  kDigits.reverse();
+  
+  // 各位小组合数 C(n_i, k_i) 及其乘积
+  const factors = nDigits.map((ni, i) => combination(ni, kDigits[i]));
+  const product = factors.reduce((acc, f) => acc * f, 1n);
+  const residue = product % BigInt(p);
+  const factorLatex = nDigits.map((ni, i) => binomLatex(ni, kDigits[i])).join(' \\cdot ');
+  const factorValues = factors.join(' \\cdot ');
+  
+  const lines = [
+    `${n} = ${formatBaseDigits(nDigits, p)}, \\quad ${k} = ${formatBaseDigits(kDigits, p)}`,
+    `${binomLatex(n, k)} \\equiv ${factorLatex} = ${factorValues} \\equiv ${residue} \\pmod{${p}}`
+  ];
+  const renderDisplay = latex => katex.renderToString(latex, { throwOnError: false, displayMode: true });
+  
+  // 某一位上 k_i > n_i 时该位组合数为0，因而 p 整除 C(n,k)
+  const note = residue === 0n
+    ? t('lucas.divisible', { n, k, p })
+    : t('lucas.notDivisible', { n, k, p });
+  
+  // 校验：与精确值直接取模的结果一致
+  const check = t('lucas.check', { n, k, p, residue: value % BigInt(p) });
+  
+  const block = highlightLucasBlock(n, k);
+  const blockText = block.inverted
+    ? t('lucas.invertedBlock', { size: block.size, p })
+    : t('lucas.block', {
+      size: block.size,
+      p,
+      row: block.row,
+      col: block.col,
+      factor: combination(block.row, block.col) % BigInt(p)
+    });
+  el.lucasContent.innerHTML = `
+    ${lines.map(renderDisplay).join('')}
+    <p>${note}</p>
+    <p>${check}</p>
+    <p>${blockText}</p>
+  `;
+}
+
+/**
+ * 高亮与指定格子位于同一自相似子三角形块中的所有格子
+ * 块大小q取n在p进制下最高位对应的p的幂（n小于p时取p）
+ * k mod q > n mod q 时格子位于两个子三角形块之间的倒三角（全为p的倍数），改为高亮该倒三角
+ * @param {number} n - 行索引
+ * @param {number} k - 列索引
+ * @returns {{size: number, row: number, col: number, inverted: boolean}} - 块大小、块在缩小后三角形中的位置以及是否为倒三角
+ */
+function highlightLucasBlock(n, k) {
+  const p = state.lucasPrime;
+  let q = 1;
+  while (q * p <= n) q *= p;
+  if (q === 1) q = p;
+  
+  const blockRow = Math.floor(n / q);
+  const blockCol = Math.floor(k / q);
+  const inverted = k % q > n % q;
+  
+  clearLucasBlock();
+  // 块可能超出已显示的行，只遍历存在的格子
+  // 正三角块第i行占列 0..i，倒三角占两块之间的列 i+1..q-1
+  const blockRows = Math.min(q, state.rows - blockRow * q);
+  for (let i = 0; i < blockRows; i++) {
+    const firstCol = inverted ? i + 1 : 0;
+    const lastCol = inverted ? q - 1 : Math.min(i, blockRow * q + i - blockCol * q);
+    for (let j = firstCol; j <= lastCol; j++) {
+      const cell = getCell(blockRow * q + i, blockCol * q + j);
+      if (cell) cell.classList.add('lucas-block');
+    }
+  }
+  
+  return { size: q, row: blockRow, col: blockCol, inverted };
+}
+
+/**
+ * 移除卢卡斯子三角形块的高亮
+ */
+function clearLucasBlock() {
+  getRenderedCells().forEach(cell => cell.classList.remove('lucas-block'));
+}
+
+/**
+ * 将非负整数转换为p进制数字数组（低位在前）
+ * @param {number} value - 非负整数
+ * @param {number} base - 进制
+ * @returns {Array<number>} - 各位数字
+ */
+function toBaseDigits(value, base) {
+  const digits = [];
+  do {
+    digits.push(value % base);
+    value = Math.floor(value / base);
+  } while (value > 0);
+  return digits;
+}
+
+/**
+ * 生成p进制数的LaTeX表示，进制大于10时各位用逗号分隔
+ * @param {Array<number>} digits - 各位数字（高位在前）
+ * @param {number} base - 进制
+ * @returns {string} - LaTeX字符串
+ */
+function formatBaseDigits(digits, base) {
+  const body = base > 10 ? digits.join(',') : digits.join('');
+  return `(${body})_{${base}}`;
+}
+
+/**
+ * 绘制竖直对称线，从杨辉三角第一个元素的中点画一条竖直向下的直线
+ * 功能：找到这条竖直线上的所有元素，将它们变为圆角方形，并画一条竖直的线连接这些元素
+ */
+function drawVerticalSymmetryLine() {
+  const svg = el.svg;
+  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
+  
+  // 定义对称线颜色
+  const symmetryColor = '#2ecc71';
+  
+  // 获取容器的高度，用于确定线条的终点
+  const containerHeight = containerRect.height;
+  
+  // 找到第一个元素（顶点）
+  const firstCell = getCell(0, 0);
+  const first = getCellGeometry(0, 0);
+  
+  if (firstCell && first) {
+    // 第一个元素中心点相对于容器的坐标
+    const verticalLineX = first.x;
+    const firstPointY = first.y;
     
-    // 创建每个单元格
-    row.forEach((value, k) => {
-      const cell = document.createElement('div');
-      cell.className = 'pascal-number';
-      cell.dataset.n = n;      // 存储行索引
-      cell.dataset.k = k;      // 存储列索引
-      cell.dataset.value = value; // 存储数值
+    // 将第一个元素变为圆角方形
+    firstCell.classList.add('rounded-square');
+    
+    // 竖直线恰好经过奇数个元素的行的正中间元素（杨辉三角中为偶数行的第 n/2 个）
+    const [firstRow, lastRow] = getVisibleRowRange();
+    for (let n = firstRow; n <= lastRow; n++) {
+      const length = view.triangle[n].length;
+      if (length % 2 === 0) continue;
+      const cell = getCell(n, (length - 1) / 2);
+      const geometry = getCellGeometry(n, (length - 1) / 2);
+      
+      // 如果找到符合条件的元素，将其变为圆角方形
+      if (cell && geometry) {
+        cell.classList.add('rounded-square');
+        
+        // 在元素中心添加小圆点标记
+        const circle = document.createElementNS("http://www.w3.org/2000/svg", 'circle');
+        circle.setAttribute('cx', geometry.x);
+        circle.setAttribute('cy', geometry.y);
+        circle.setAttribute('r', '6');
+        circle.setAttribute('fill', symmetryColor);
+        circle.setAttribute('opacity', '0.9');
+        circle.setAttribute('stroke', 'white');
+        circle.setAttribute('stroke-width', '2');
+        svg.appendChild(circle);
+      }
+    }
+    
+    // 绘制从第一个元素中点竖直向下的直线
+    const line = document.createElementNS("http://www.w3.org/2000/svg", 'line');
+    line.setAttribute('x1', verticalLineX);
+    line.setAttribute('y1', firstPointY);
+    line.setAttribute('x2', verticalLineX);
+    line.setAttribute('y2', containerHeight); // 延伸到容器底部
+    line.setAttribute('stroke', symmetryColor);
+    line.setAttribute('stroke-width', '3');
+    line.setAttribute('stroke-opacity', '0.7');
+    line.setAttribute('stroke-linecap', 'round');
+    line.setAttribute('stroke-dasharray', '5,3'); // 虚线效果
+    svg.appendChild(line);
+  }
+}
+
+/**
+ * 绘制行连接和显示行总和
+ * 功能：为每一行的所有元素绘制一条连接线，并在末端显示该行的总和公式 2^n = 总和
+ */
+function drawRowSums() {
+  const svg = el.svg;
+  
+  // 定义行连接和总和显示的颜色
+  const sumLineColor = '#3498db';
+  const sumTextColor = '#2980b9';
+  
+  // 遍历每一行（画布后端只绘制可见的行）
+  const [firstRow, lastRow] = getVisibleRowRange();
+  for (let n = firstRow; n <= lastRow; n++) {
+    const row = view.triangle[n];
+    const first = getCellGeometry(n, 0);
+    const last = getCellGeometry(n, row.length - 1);
+    
+    if (first && last) {
+      // 计算该行所有元素的和（杨辉三角中应该是2^n）
+      const rowSum = sumRow(row);
+      
+      // 计算连线的起点和终点坐标
+      const startX = first.x - first.width / 2;
+      const startY = first.y;
+      const endX = last.x + last.width / 2;
+      const endY = last.y;
+      
+      // 绘制连接整行的水平线
+      const rowLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
+      rowLine.setAttribute('x1', startX);
+      rowLine.setAttribute('y1', startY);
+      rowLine.setAttribute('x2', endX);
+      rowLine.setAttribute('y2', endY);
+      rowLine.setAttribute('stroke', sumLineColor);
+      rowLine.setAttribute('stroke-width', '2');
+      rowLine.setAttribute('stroke-opacity', '0.8');
+      rowLine.setAttribute('stroke-linecap', 'round');
+      svg.appendChild(rowLine);
+      
+      // 绘制从最后一个元素到总和标签的连接线
+      const connectLineX1 = endX;
+      const connectLineY1 = endY;
+      const connectLineX2 = endX + 60; // 向右延伸60像素
+      const connectLineY2 = endY;
+      
+      const connectLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
+      connectLine.setAttribute('x1', connectLineX1);
+      connectLine.setAttribute('y1', connectLineY1);
+      connectLine.setAttribute('x2', connectLineX2);
+      connectLine.setAttribute('y2', connectLineY2);
+      connectLine.setAttribute('stroke', sumLineColor);
+      connectLine.setAttribute('stroke-width', '2');
+      connectLine.setAttribute('stroke-opacity', '0.8');
+      connectLine.setAttribute('stroke-linecap', 'round');
+      connectLine.setAttribute('stroke-dasharray', '3,2');
+      svg.appendChild(connectLine);
+      
+      // 显示总和公式：2^n = 行和（没有闭式的类型只显示行和）
+      const formula = getRowSumLabel(n);
+      const sumLabel = formula ? `${formula} = ${formatValueText(rowSum)}` : `Σ = ${formatValueText(rowSum)}`;
+      displayRowSumLabel(svg, connectLineX2 + 10, connectLineY2, sumLabel, sumTextColor);
+    }
+  }
+}
+
+/**
+ * 在指定位置显示行总和公式标签
+ * @param {SVGElement} svg - SVG容器元素
+ * @param {number} x - x坐标
+ * @param {number} y - y坐标
+ * @param {string} label - 要显示的标签文本
+ * @param {string} color - 文本颜色
+ */
+function displayRowSumLabel(svg, x, y, label, color = '#2980b9') {
+  const ns = "http://www.w3.org/2000/svg";
+  
+  // 使用KaTeX渲染公式
+  const span = document.createElement('span');
+  try {
+    katex.render(label, span, { throwOnError: false });
+  } catch (e) {
+    span.textContent = label;
+  }
+  
+  // 估算文本宽度
+  const textLength = (label.length * 9) + 10;
+  
+  // 创建背景矩形
+  const rect = document.createElementNS(ns, 'rect');
+  rect.setAttribute('x', x);
+  rect.setAttribute('y', y - 12);
+  rect.setAttribute('width', textLength);
+  rect.setAttribute('height', '24');
+  rect.setAttribute('rx', '12');
+  rect.setAttribute('fill', 'white');
+  rect.setAttribute('stroke', color);
+  rect.setAttribute('stroke-width', '1');
+  rect.setAttribute('opacity', '0.95');
+  svg.appendChild(rect);
+  
+  // 创建文本元素
+  const text = document.createElementNS(ns, 'text');
+  text.setAttribute('x', x + 5);
+  text.setAttribute('y', y + 4);
+  text.setAttribute('font-size', '14');
+  text.setAttribute('fill', color);
+  text.setAttribute('font-weight', 'bold');
+  text.textContent = label;
+  svg.appendChild(text);
+}
+
+/**
+ * 绘制杨辉三角中单元格之间的连接线
+ * 功能：为每一行的每个单元格与其下一行的对应单元格之间绘制连接线
+ */
+function drawConnections() {
+  const svg = el.svg;
+  
+  // 三项式模式下每个数有三个父项，位于上一层
+  if (state.multinomial) {
+    drawPyramidConnections();
+    return;
+  }
+  
+  // 其他三角形类型按各自的递推关系连线
+  if (state.triangleType !== 'pascal') {
+    drawRuleConnections();
+    return;
+  }
+  
+  // 遍历每一行，除了最后一行（画布后端只绘制可见的行）
+  const [firstRow, lastRow] = getVisibleRowRange();
+  for (let i = firstRow; i <= Math.min(lastRow, state.rows - 2); i++) {
+    // 为当前行的每个单元格绘制到下一行对应单元格的连接线
+    for (let j = 0; j <= i; j++) {
+      const cur = getCellGeometry(i, j);
+      const left = getCellGeometry(i + 1, j);
+      const right = getCellGeometry(i + 1, j + 1);
+      if (!cur || !isPointVisible(cur.x, cur.y)) continue;
       
-      // 如果启用了谢尔宾斯三角效果，且数值为奇数，则应用三角形样式
-      if (state.showSierpinski && value % 2 === 1) {
-        cell.classList.add('triangle');
+      // 绘制到下一行左侧单元格的连接线
+      if (left) {
+        drawSVGLine(svg, cur.x, cur.y, left.x, left.y);
       }
       
-      // 如果启用了素数高亮，且数值为素数，则应用圆角方形样式
-      if (state.showPrimes && isPrime(value)) {
-        cell.classList.add('rounded-square');
+      // 绘制到下一行右侧单元格的连接线
+      if (right) {
+        drawSVGLine(svg, cur.x, cur.y, right.x, right.y);
       }
+    }
+  }
+}
+
+/**
+ * 按当前三角形类型的递推关系，从每个数的父项向它连线
+ */
+function drawRuleConnections() {
+  const type = TRIANGLE_TYPES[state.triangleType];
+  const [firstRow, lastRow] = getVisibleRowRange();
+  
+  for (let n = firstRow; n <= lastRow; n++) {
+    for (let k = 0; k < view.triangle[n].length; k++) {
+      const cur = getCellGeometry(n, k);
+      if (!cur) continue;
+      type.parents(n, k).forEach(parent => {
+        const from = getCellGeometry(parent.n, parent.k);
+        if (!from || (!isPointVisible(cur.x, cur.y) && !isPointVisible(from.x, from.y))) return;
+        drawSVGLine(el.svg, from.x, from.y, cur.x, cur.y);
+      });
+    }
+  }
+}
+
+/**
+ * 绘制杨辉金字塔的层间连接：上一层的每个数投影在当前层三个子项的重心处（虚线圆），
+ * 并连线到它贡献的三个子项（分别乘上 a、b、c）
+ */
+function drawPyramidConnections() {
+  const ns = "http://www.w3.org/2000/svg";
+  const svg = el.svg;
+  const n = state.rows - 1;
+  const [firstRow, lastRow] = getVisibleRowRange();
+  
+  for (let i = Math.max(0, firstRow - 1); i <= Math.min(lastRow, n - 1); i++) {
+    for (let j = 0; j <= i; j++) {
+      const children = [getCellGeometry(i, j), getCellGeometry(i + 1, j), getCellGeometry(i + 1, j + 1)];
+      if (children.some(child => !child)) continue;
+      const cx = children.reduce((sum, child) => sum + child.x, 0) / 3;
+      const cy = children.reduce((sum, child) => sum + child.y, 0) / 3;
+      if (!isPointVisible(cx, cy)) continue;
       
-      // 根据状态选择显示组合数符号还是数字
-      const latex = state.useCombination ? `C_{${n}}^{${k}}` : `${value}`;
-      cell.innerHTML = katex.renderToString(latex, {throwOnError: false});
-      cell.title = `C_{${n}}^{${k}} = ${value}`; // 悬停提示
+      children.forEach(child => drawSVGLine(svg, cx, cy, child.x, child.y));
       
-      // 绑定点击事件
-      cell.onclick = () => {
-        // 添加点击高亮效果
-        cell.classList.add('highlight');
-        setTimeout(() => cell.classList.remove('highlight'), 900);
-        
-        // 处理点击事件，更新信息显示
-        onCellClick(n, k, value);
-      };
+      // 上一层的父项（虚影）
+      const radius = Math.min(children[0].width, children[0].height) * 0.28;
+      const ghost = document.createElementNS(ns, 'circle');
+      ghost.setAttribute('cx', cx);
+      ghost.setAttribute('cy', cy);
+      ghost.setAttribute('r', radius);
+      ghost.setAttribute('fill', 'white');
+      ghost.setAttribute('fill-opacity', '0.85');
+      ghost.setAttribute('stroke', '#64748b');
+      ghost.setAttribute('stroke-dasharray', '3,2');
+      svg.appendChild(ghost);
       
-      rowEl.appendChild(cell);
+      if (radius >= 8) {
+        const text = document.createElementNS(ns, 'text');
+        text.setAttribute('x', cx);
+        text.setAttribute('y', cy + 4);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('font-size', Math.min(12, radius));
+        text.setAttribute('fill', '#475569');
+        text.textContent = formatValueText(combination(n - 1, i) * combination(i, j));
+        svg.appendChild(text);
+      }
+    }
+  }
+}
+
+/**
+ * 在SVG中绘制单条线
+ * @param {SVGElement} svg - SVG容器元素
+ * @param {number} x1 - 起始点x坐标
+ * @param {number} y1 - 起始点y坐标
+ * @param {number} x2 - 结束点x坐标
+ * @param {number} y2 - 结束点y坐标
+ */
+function drawSVGLine(svg, x1, y1, x2, y2) {
+  const ns = "http://www.w3.org/2000/svg";
+  const line = document.createElementNS(ns, 'line');
+  
+  // 设置线的属性
+  line.setAttribute('x1', x1);
+  line.setAttribute('y1', y1);
+  line.setAttribute('x2', x2);
+  line.setAttribute('y2', y2);
+  line.setAttribute('stroke', '#e74c3c');       // 线的颜色
+  line.setAttribute('stroke-width', '3');       // 线的宽度
+  line.setAttribute('stroke-opacity', '0.85');  // 线的透明度
+  line.setAttribute('stroke-linecap', 'round'); // 线的端点样式
+  
+  svg.appendChild(line);
+}
+
+/**
+ * 清空SVG容器中的所有内容
+ */
+function clearSVG() {
+  // 确保el.svg存在且有子元素
+  while (el.svg && el.svg.firstChild) {
+    el.svg.removeChild(el.svg.firstChild);
+  }
+}
+
+/**
+ * 高亮显示特定的数学规律相关的单元格
+ * @param {string} pattern - 数学规律类型
+ */
+function highlightPatternCells(pattern) {
+  const cells = getRenderedCells();
+  const patternCells = [];
+  
+  // 移除所有之前的高亮
+  cells.forEach(cell => {
+    cell.classList.remove('highlight-fibonacci', 'highlight-natural', 
+                         'highlight-triangular', 'highlight-tetrahedral', 'highlight-diagonal',
+                         'highlight-square', 'highlight-max', 'highlight-carry', 'highlight-path');
+  });
+  
+  // 斜列规律沿用各预设的高亮样式
+  let highlightName = pattern;
+  
+  // 曲棍球棒恒等式由拖动选择决定，不做逐个动画
+  if (pattern === 'hockeyStick') {
+    applyHockeyStickClasses();
+    return;
+  }
+  
+  // 根据不同的规律类型，筛选需要高亮的单元格
+  switch(pattern) {
+    case 'fibonacci':
+      // 斐波那契数列：沿对角线方向相加
+      patternCells.push(...getFibonacciCells());
+      break;
+    case 'diagonal':
+      // 斜列规律：第k条斜列上的图形数（自然数、三角数、四面体数……）
+      patternCells.push(...getDiagonalCells(state.diagonalK, state.diagonalSide));
+      highlightName = getDiagonalSequenceInfo(state.diagonalK).highlight;
+      break;
+    case 'square':
+      // 方形结构：第2列相邻两个三角数之和为平方数
+      patternCells.push(...getSquareNumberCells());
+      break;
+    case 'rowMax':
+      // 最大数规律：每行中间的一个（或两个）最大数
+      patternCells.push(...getRowMaxCells());
+      highlightName = 'max';
+      break;
+    case 'power':
+      // 乘方规律：不小于进制的系数会产生进位
+      patternCells.push(...getCarryCells());
+      highlightName = 'carry';
+      break;
+    case 'paths':
+      // 格路计数：当前演示的路径依次经过的单元格
+      patternCells.push(...getLatticePathCells());
+      highlightName = 'path';
+      break;
+  }
+  
+  // 添加高亮类和动画效果
+  animatePatternCells(patternCells, highlightName);
+}
+
+/**
+ * 为高亮的单元格添加动画效果
+ * @param {Array<HTMLElement>} cells - 要添加动画的单元格数组
+ * @param {string} pattern - 数学规律类型
+ */
+function animatePatternCells(cells, pattern) {
+  const highlightClass = `highlight-${pattern}`;
+  
+  // 画布后端单元格数量很多，直接添加高亮类，不做逐个动画
+  if (view.canvasActive) {
+    cells.forEach(cell => cell.classList.add(highlightClass));
+    return;
+  }
+  
+  // 按顺序为单元格添加高亮效果，创建动画序列
+  cells.forEach((cell, index) => {
+    setTimeout(() => {
+      cell.classList.add(highlightClass);
+      // 添加轻微的动画效果
+      const animation = cell.animate([
+        { transform: 'scale(1)', opacity: '1' },
+        { transform: 'scale(1.05)', opacity: '0.9' },
+        { transform: 'scale(1)', opacity: '1' }
+      ], {
+        duration: 600,
+        easing: 'ease-out'
+      });
+    }, index * 150); // 每个单元格间隔150ms，创建流动效果
+  });
+}
+
+// 斐波那契对角线的颜色
+const FIBONACCI_COLOR = '#e74c3c';
+
+/**
+ * 获取第m条斐波那契对角线上格子的位置：C(m-i, i)，i ≤ m-i
+ * @param {number} m - 对角线序号（起始行）
+ * @returns {Array<Array<number>>} - 格子的位置 [n, k]
+ */
+function getFibonacciDiagonalCells(m) {
+  const cells = [];
+  for (let i = 0; i <= m - i; i++) cells.push([m - i, i]);
+  return cells;
+}
+
+/**
+ * 计算各条斐波那契对角线的数字之和：第m条对角线之和是第 m+1 个斐波那契数
+ * 相邻对角线之和满足 F(m) = F(m-1) + F(m-2)，按递推式计算；结果随三角形数据缓存，render() 重新生成数据时清空
+ * @returns {Array<bigint>} - 每条对角线的数字之和
+ */
+function getFibonacciSums() {
+  if (view.fibonacciSums) return view.fibonacciSums;
+  const sums = [];
+  for (let m = 0; m < view.triangle.length; m++) {
+    sums.push(m < 2 ? 1n : sums[m - 1] + sums[m - 2]);
+  }
+  view.fibonacciSums = sums;
+  return sums;
+}
+
+/**
+ * 获取组成斐波那契数列的单元格
+ * 斐波那契数列规律：沿对角线方向的数字之和
+ * 画布后端每个格子都在某条对角线上，高亮类由 getCanvasCellClassList 在绘制时添加，这里不逐个创建虚拟单元格
+ * @returns {Array<HTMLElement>} 斐波那契数列相关的单元格
+ */
+function getFibonacciCells() {
+  if (view.canvasActive) return [];
+  const cells = [];
+  view.triangle.forEach((row, m) => {
+    getFibonacciDiagonalCells(m).forEach(([n, k]) => {
+      const cell = getCell(n, k);
+      if (!cell) return;
+      // 存储原始背景色，以便后续可能的恢复
+      if (!cell.dataset.originalBg) {
+        cell.dataset.originalBg = cell.style.backgroundColor || '';
+      }
+      // 应用新的背景色
+      cell.style.backgroundColor = FIBONACCI_COLOR + '30'; // 带透明度的颜色
+      cells.push(cell);
     });
+  });
+  return cells;
+}
+
+/**
+ * 绘制斐波那契对角线、延伸线与对角线之和（画布后端只绘制与可见行相交的对角线）
+ */
+function drawFibonacciDiagonals() {
+  const svg = el.svg;
+  const [firstRow, lastRow] = getVisibleRowRange();
+  
+  getFibonacciSums().forEach((sum, m) => {
+    // 第m条对角线从第m行延伸到第 ceil(m/2) 行
+    if (m < firstRow || Math.ceil(m / 2) > lastRow) return;
+    const cells = getFibonacciDiagonalCells(m);
+    const diagonalPoints = cells.map(([n, k]) => getCellGeometry(n, k));
+    const lastPoint = diagonalPoints[diagonalPoints.length - 1];
     
-    lineEl.appendChild(rowEl);
-    el.triangleContainer.appendChild(lineEl);
+    // 绘制连续的对角线，使元素看起来连成一条直线
+    if (diagonalPoints.length > 1) {
+      const firstPoint = diagonalPoints[0];
+      const line = document.createElementNS("http://www.w3.org/2000/svg", 'line');
+      line.setAttribute('x1', firstPoint.x);
+      line.setAttribute('y1', firstPoint.y);
+      line.setAttribute('x2', lastPoint.x);
+      line.setAttribute('y2', lastPoint.y);
+      line.setAttribute('stroke', FIBONACCI_COLOR);
+      line.setAttribute('stroke-width', '3');
+      line.setAttribute('stroke-opacity', '0.6');
+      line.setAttribute('stroke-linecap', 'round');
+      svg.appendChild(line);
+      
+      // 在直线上添加小圆点标记每个单元格的位置（画布后端只标记可见的单元格）
+      diagonalPoints.forEach(point => {
+        if (!isPointVisible(point.x, point.y)) return;
+        const circle = document.createElementNS("http://www.w3.org/2000/svg", 'circle');
+        circle.setAttribute('cx', point.x);
+        circle.setAttribute('cy', point.y);
+        circle.setAttribute('r', '5');
+        circle.setAttribute('fill', FIBONACCI_COLOR);
+        circle.setAttribute('opacity', '0.8');
+        svg.appendChild(circle);
+      });
+    }
+    
+    // 绘制延伸到右侧的线，根据斐波那契数列元素的序号绘制不同的连接线
+    const xStart = lastPoint.x;
+    const yStart = lastPoint.y;
+    
+    let xEnd, yEnd;
+    
+    if(m === 0){
+      // 第一个元素"1"的连接线直接向右延伸100
+      xEnd = xStart + 100;
+      yEnd = yStart-20;
+    } else if(m === 1){
+      const midX1 = xStart + 51;
+      const midY1 = yStart - 60;
+      xEnd = midX1 + 90;
+      yEnd = midY1-30;
+    } else {
+      // 第3个元素及以后的所有元素都使用主延伸线直接延伸出来
+      // 如果是偶数序数的元素，多向右上80像素
+
+      if((m + 1)%2===0){//如果是偶数序数元素
+        xEnd = xStart+120;
+        yEnd = yStart-105;
+      }else{
+        xEnd = xStart+70;
+        yEnd = yStart-57;
+      }
+    }
+    
+    // 绘制主延伸线 - 确保所有第三个元素及以后的元素（包括偶数序数）都沿着这条直线延伸
+    const extendLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
+    extendLine.setAttribute('x1', xStart);
+    extendLine.setAttribute('y1', yStart);
+    extendLine.setAttribute('x2', xEnd);
+    extendLine.setAttribute('y2', yEnd);
+    extendLine.setAttribute('stroke', FIBONACCI_COLOR);
+    extendLine.setAttribute('stroke-width', '2');
+    extendLine.setAttribute('stroke-opacity', '0.5');
+    extendLine.setAttribute('stroke-linecap', 'round');
+    extendLine.setAttribute('stroke-dasharray', '4,2');
+    svg.appendChild(extendLine);
+    
+    // 在延伸线的末端显示总和
+    displaySumLabel(svg, xEnd + 10, yEnd, sum, FIBONACCI_COLOR);
+  });
+}
+
+/**
+ * 获取第k条斜列对应的单元格
+ * 左斜列为第k列 C(n,k)（平行于左边），右斜列为倒数第k列 C(n,n-k)（平行于右边），两者数值相同
+ * @param {number} k - 斜列序号
+ * @param {string} side - 斜列方向 'left' 或 'right'
+ * @returns {Array<HTMLElement>} 斜列上的单元格
+ */
+function getDiagonalCells(k, side) {
+  const cells = [];
+  for (let n = k; n < state.rows; n++) {
+    const cell = getCell(n, side === 'right' ? n - k : k);
+    if (cell) {
+      cell.classList.add('hexagon'); // 添加六边形样式
+      cells.push(cell);
+    }
+  }
+  return cells;
+}
+
+/**
+ * 获取第k条斜列对应图形数的名称与说明
+ * @param {number} k - 斜列序号
+ * @returns {{name: string, description: string, highlight: string}} - 名称、几何含义与高亮样式
+ */
+function getDiagonalSequenceInfo(k) {
+  const known = DIAGONAL_SEQUENCES[k];
+  const key = known ? `diagonalSequences.${k}` : 'diagonalSequences.simplex';
+  return {
+    name: t(`${key}.name`, { k }),
+    description: t(`${key}.description`, { k }),
+    highlight: known ? known.highlight : 'diagonal'
+  };
+}
+
+/**
+ * 判断某个斜列预设按钮（k = 1, 2, 3）是否处于激活状态
+ * @param {number} k - 预设的斜列序号
+ * @returns {boolean} - 激活返回true
+ */
+function isDiagonalPresetActive(k) {
+  return state.currentPattern === 'diagonal' && state.diagonalK === k;
+}
+
+/**
+ * 根据指针事件找到其下方的单元格（DOM与画布后端通用）
+ * @param {PointerEvent} event - 指针事件
+ * @returns {{n: number, k: number}|null} - 单元格位置，未命中时返回null
+ */
+function getCellFromPointer(event) {
+  if (view.canvasActive) {
+    return event.target === el.canvas ? getCanvasCellAt(event) : null;
+  }
+  const target = document.elementFromPoint(event.clientX, event.clientY);
+  const cell = target && target.closest('.pascal-number');
+  return cell ? { n: Number(cell.dataset.n), k: Number(cell.dataset.k) } : null;
+}
+
+/**
+ * 根据拖动的起点和当前位置更新曲棍球棒选择
+ * 起点在右边 (r,r) 时沿第r列向左下延伸；起点在左边 (r,0) 时沿倒数第r列向右下延伸
+ * @param {{n: number, k: number}} start - 拖动起点（三角形边上的格子）
+ * @param {{n: number, k: number}} current - 当前指针所在的格子
+ */
+function updateHockeyStick(start, current) {
+  // 顶点同时位于两条边上，按拖动方向决定
+  let direction = start.k === start.n ? 'down-left' : 'down-right';
+  if (start.n === 0) direction = current.k === 0 ? 'down-left' : 'down-right';
+  const r = direction === 'down-left' ? start.k : start.n;
+  
+  // 当前格子必须与起点在同一条斜列上且不在起点上方
+  const onDiagonal = direction === 'down-left' ? current.k === r : current.n - current.k === r;
+  if (!onDiagonal || current.n < r) return;
+  
+  const previous = state.hockeyStick;
+  if (previous && previous.direction === direction && previous.r === r && previous.end === current.n) return;
+  state.hockeyStick = { direction, r, end: current.n };
+  
+  applyHockeyStickClasses();
+  drawOverlays();
+  showHockeyStickInfo();
+}
+
+/**
+ * 获取曲棍球棒选择对应的"棒身"格子位置和"棒头"格子位置
+ * @returns {{stick: Array<Array<number>>, blade: Array<number>}|null} - 棒身各格 [n,k] 与棒头 [n,k]
+ */
+function getHockeyStickCells() {
+  const selection = state.hockeyStick;
+  if (!selection) return null;
+  const { direction, r, end } = selection;
+  
+  const stick = [];
+  for (let i = r; i <= end; i++) {
+    stick.push(direction === 'down-left' ? [i, r] : [i, i - r]);
+  }
+  // 棒头：C(end+1, r+1)，向右下延伸时取其对称位置
+  const blade = direction === 'down-left' ? [end + 1, r + 1] : [end + 1, end - r];
+  return { stick, blade };
+}
+
+/**
+ * 为曲棍球棒选择的格子添加高亮样式
+ */
+function applyHockeyStickClasses() {
+  getRenderedCells().forEach(cell => cell.classList.remove('hockey-stick', 'hockey-blade'));
+  const cells = getHockeyStickCells();
+  if (!cells) return;
+  
+  cells.stick.forEach(([n, k]) => {
+    const cell = getCell(n, k);
+    if (cell) cell.classList.add('hockey-stick');
   });
+  const blade = getCell(...cells.blade);
+  if (blade) blade.classList.add('hockey-blade');
+}
+
+/**
+ * 在SVG覆盖层中绘制曲棍球棒：棒身沿斜列连接所选格子，棒头折向下一行的和
+ */
+function drawHockeyStick() {
+  const cells = getHockeyStickCells();
+  if (!cells) return;
+  const ns = "http://www.w3.org/2000/svg";
+  
+  const first = getCellGeometry(...cells.stick[0]);
+  const last = getCellGeometry(...cells.stick[cells.stick.length - 1]);
+  const blade = getCellGeometry(...cells.blade);
+  if (!first || !last) return;
+  
+  // 棒身
+  const stick = document.createElementNS(ns, 'line');
+  stick.setAttribute('x1', first.x);
+  stick.setAttribute('y1', first.y);
+  stick.setAttribute('x2', last.x);
+  stick.setAttribute('y2', last.y);
+  stick.setAttribute('stroke', '#16a085');
+  stick.setAttribute('stroke-width', '10');
+  stick.setAttribute('stroke-opacity', '0.55');
+  stick.setAttribute('stroke-linecap', 'round');
+  el.svg.appendChild(stick);
+  
+  // 棒头（所选行数未包含下一行时不绘制）
+  if (blade) {
+    const bladeLine = document.createElementNS(ns, 'line');
+    bladeLine.setAttribute('x1', last.x);
+    bladeLine.setAttribute('y1', last.y);
+    bladeLine.setAttribute('x2', blade.x);
+    bladeLine.setAttribute('y2', blade.y);
+    bladeLine.setAttribute('stroke', '#e67e22');
+    bladeLine.setAttribute('stroke-width', '10');
+    bladeLine.setAttribute('stroke-opacity', '0.7');
+    bladeLine.setAttribute('stroke-linecap', 'round');
+    el.svg.appendChild(bladeLine);
+  }
+}
+
+/**
+ * 在数学规律展示面板中显示曲棍球棒恒等式，并代入当前选择的数值
+ * 格子显示组合数符号时以符号形式为主，显示数字时以数值形式为主
+ */
+function showHockeyStickInfo() {
+  const identity = katex.renderToString(`\\sum_{i=r}^{n} ${binomLatex('i', 'r')} = ${binomLatex('n+1', 'r+1')}`, { throwOnError: false, displayMode: true });
+  const cells = getHockeyStickCells();
+  
+  let detail = `<p class="pattern-example">${t('hockeyStick.hint')}</p>`;
+  if (cells) {
+    // 项数较多时只列出首尾各三项
+    const abbreviate = terms => (terms.length > 8 ? [...terms.slice(0, 3), '\\cdots', ...terms.slice(-3)] : terms);
+    const symbolTerms = abbreviate(cells.stick.map(([n, k]) => binomLatex(n, k)));
+    const numberTerms = abbreviate(cells.stick.map(([n, k]) => formatValueLatex(combination(n, k))));
+    const [bn, bk] = cells.blade;
+    const symbolLatex = `${symbolTerms.join(' + ')} = ${binomLatex(bn, bk)}`;
+    const numberLatex = `${numberTerms.join(' + ')} = ${formatValueLatex(combination(bn, bk))}`;
+    const [primary, secondary] = state.useCombination ? [symbolLatex, numberLatex] : [numberLatex, symbolLatex];
+    const renderDisplay = latex => katex.renderToString(latex, { throwOnError: false, displayMode: true });
+    
+    detail = `
+      <div class="pattern-formula">
+        <strong>${t('hockeyStick.selection', { r: state.hockeyStick.r, n: state.hockeyStick.end })}</strong>
+        <div class="katex-display">${renderDisplay(primary)}</div>
+        <div class="katex-display">${renderDisplay(secondary)}</div>
+      </div>
+      ${getCell(bn, bk) ? '' : `<p class="pattern-example">${t('hockeyStick.bladeHidden')}</p>`}
+    `;
+  }
+  
+  el.patternInfoPanel.innerHTML = `
+    <div class="pattern-header hockey-pattern">
+      <h3>${t('hockeyStick.title')}</h3>
+    </div>
+    <div class="pattern-content">
+      <p class="pattern-description">${t('hockeyStick.description')}</p>
+      <div class="pattern-formula">${identity}</div>
+      ${detail}
+    </div>
+  `;
+}
+
+/**
+ * 获取方形结构对应的单元格
+ * 方形结构：第2列（C(n,2)，即三角数）中相邻两项配对，每对之和为平方数
+ * @returns {Array<HTMLElement>} 第2列的单元格
+ */
+function getSquareNumberCells() {
+  const cells = [];
+  for (let n = 2; n < state.rows; n++) {
+    const cell = getCell(n, 2);
+    if (cell) cells.push(cell);
+  }
+  return cells;
+}
+
+/**
+ * 绘制方形结构：连接每一对相邻的三角数，并在三角形右侧画出对应的 n×n 点阵
+ * 点阵中对角线及其下方的点是 C(n+1,2)，上方的点是 C(n,2)
+ */
+function drawSquareStructure() {
+  const ns = "http://www.w3.org/2000/svg";
+  const upperColor = '#009688';
+  const lowerColor = '#ff7043';
+  
+  // 配对 (C(n,2), C(n+1,2))，n 从 2 开始
+  const [firstRow, lastRow] = getVisibleRowRange();
+  for (let n = Math.max(2, firstRow - 1); n + 1 <= lastRow; n++) {
+    const top = getCellGeometry(n, 2);
+    const bottom = getCellGeometry(n + 1, 2);
+    if (!top || !bottom) continue;
+    
+    // 连接一对三角数（相邻配对交替使用两种颜色）
+    const pairColor = n % 2 === 0 ? upperColor : lowerColor;
+    const link = document.createElementNS(ns, 'line');
+    link.setAttribute('x1', top.x);
+    link.setAttribute('y1', top.y);
+    link.setAttribute('x2', bottom.x);
+    link.setAttribute('y2', bottom.y);
+    link.setAttribute('stroke', pairColor);
+    link.setAttribute('stroke-width', '6');
+    link.setAttribute('stroke-opacity', '0.5');
+    link.setAttribute('stroke-linecap', 'round');
+    el.svg.appendChild(link);
+    
+    // 点阵画在该对第二项所在行的最右侧格子旁边
+    const rowEnd = getCellGeometry(n + 1, n + 1);
+    if (!rowEnd || !isPointVisible(rowEnd.x, rowEnd.y)) continue;
+    const rowHeight = bottom.y - top.y;
+    const dotGap = Math.min(10, (rowHeight * 0.9) / n);
+    const originX = rowEnd.x + rowEnd.width / 2 + 16;
+    const originY = rowEnd.y - (dotGap * (n - 1)) / 2;
+    
+    if (n <= state.maxSquareDots) {
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          const dot = document.createElementNS(ns, 'circle');
+          dot.setAttribute('cx', originX + j * dotGap);
+          dot.setAttribute('cy', originY + i * dotGap);
+          dot.setAttribute('r', Math.max(1, dotGap * 0.35));
+          dot.setAttribute('fill', j <= i ? lowerColor : upperColor);
+          el.svg.appendChild(dot);
+        }
+      }
+    } else {
+      // n 较大时点数太多，只画出方框和分开两个三角数的对角线
+      const side = dotGap * (n - 1);
+      const outline = document.createElementNS(ns, 'rect');
+      outline.setAttribute('x', originX);
+      outline.setAttribute('y', originY);
+      outline.setAttribute('width', side);
+      outline.setAttribute('height', side);
+      outline.setAttribute('fill', upperColor);
+      outline.setAttribute('fill-opacity', '0.3');
+      outline.setAttribute('stroke', upperColor);
+      el.svg.appendChild(outline);
+      const lower = document.createElementNS(ns, 'polygon');
+      lower.setAttribute('points', `${originX},${originY} ${originX},${originY + side} ${originX + side},${originY + side}`);
+      lower.setAttribute('fill', lowerColor);
+      lower.setAttribute('fill-opacity', '0.6');
+      el.svg.appendChild(lower);
+    }
+    
+    // 点阵右侧标注等式
+    const label = document.createElementNS(ns, 'text');
+    label.setAttribute('x', originX + n * dotGap + 8);
+    label.setAttribute('y', rowEnd.y + 4);
+    label.setAttribute('font-size', '13');
+    label.setAttribute('font-weight', 'bold');
+    label.setAttribute('fill', '#1e293b');
+    label.textContent = `${formatValueText(view.triangle[n][2])} + ${formatValueText(view.triangle[n + 1][2])} = ${n}²`;
+    el.svg.appendChild(label);
+  }
+}
+
+/**
+ * 获取每一行的最大数对应的单元格
+ * 偶数行只有正中间一个最大数，奇数行有中间相等的两个最大数
+ * @returns {Array<HTMLElement>} 最大数单元格
+ */
+function getRowMaxCells() {
+  const cells = [];
+  for (let n = 0; n < state.rows; n++) {
+    const left = getCell(n, Math.floor(n / 2));
+    if (left) cells.push(left);
+    if (n % 2 === 1) {
+      const right = getCell(n, Math.ceil(n / 2));
+      if (right) cells.push(right);
+    }
+  }
+  return cells;
+}
+
+/**
+ * 用一条折线连接各行的最大数（中间列）
+ * 奇数行取两个最大数的中点
+ */
+function drawCentralColumnLine() {
+  const ns = "http://www.w3.org/2000/svg";
+  const [firstRow, lastRow] = getVisibleRowRange();
+  const points = [];
   
-  // 如果需要显示连接线，使用requestAnimationFrame确保DOM更新完成后再绘制
-  if (state.showLines) {
-    requestAnimationFrame(() => requestAnimationFrame(drawConnections));
+  for (let n = Math.max(0, firstRow - 1); n <= Math.min(state.rows - 1, lastRow + 1); n++) {
+    const left = getCellGeometry(n, Math.floor(n / 2));
+    const right = getCellGeometry(n, Math.ceil(n / 2));
+    if (!left || !right) continue;
+    points.push(`${(left.x + right.x) / 2},${left.y}`);
   }
+  if (points.length < 2) return;
   
-  // 如果需要显示行连接和总和
-  if (state.showRowSums) {
-    requestAnimationFrame(() => requestAnimationFrame(drawRowSums));
+  const line = document.createElementNS(ns, 'polyline');
+  line.setAttribute('points', points.join(' '));
+  line.setAttribute('fill', 'none');
+  line.setAttribute('stroke', '#7c3aed');
+  line.setAttribute('stroke-width', '3');
+  line.setAttribute('stroke-dasharray', '6,4');
+  line.setAttribute('stroke-linecap', 'round');
+  el.svg.appendChild(line);
+}
+
+/**
+ * 计算两个 BigInt 之比的近似值
+ * @param {bigint} a - 被除数
+ * @param {bigint} b - 除数
+ * @returns {number} a / b 的近似值（保留6位小数）
+ */
+function bigRatio(a, b) {
+  return Number((a * 1000000n) / b) / 1000000;
+}
+
+/**
+ * 生成最大数规律的详细内容：中心二项式系数与斯特林估计的对比表，以及相邻最大数之比的折线图
+ * @returns {string} HTML字符串
+ */
+function renderRowMaxDetails() {
+  // 对比表：C(2m,m) 与 4^m/sqrt(πm)
+  const maxM = Math.min(Math.floor((state.rows - 1) / 2), 10);
+  let tableRows = '';
+  for (let m = 1; m <= maxM; m++) {
+    const exact = view.triangle[2 * m][m];
+    const estimate = Math.pow(4, m) / Math.sqrt(Math.PI * m);
+    tableRows += `
+      <tr>
+        <td>${m}</td>
+        <td>${formatValueText(exact)}</td>
+        <td>${estimate.toPrecision(6)}</td>
+        <td>${(Number(exact) / estimate).toFixed(4)}</td>
+      </tr>`;
   }
+  const table = maxM < 1 ? `<p>${t('rowMax.tooFewRows')}</p>` : `
+    <table class="row-max-table">
+      <thead>
+        <tr><th>m</th><th>C(2m,m)</th><th>4^m/√(πm)</th><th>${t('rowMax.ratio')}</th></tr>
+      </thead>
+      <tbody>${tableRows}</tbody>
+    </table>`;
   
-  // 如果需要显示竖直对称线
-  if (state.showSymmetryLine) {
-    drawVerticalSymmetryLine();
+  // 折线图：相邻两行最大数之比 M(n+1)/M(n)，偶数行到奇数行为 (2m+1)/(m+1)，奇数行到偶数行恒为 2
+  // 各行最大数直接取自当前三角形数据
+  const rowMax = n => view.triangle[n][Math.floor(n / 2)];
+  const ratios = [];
+  for (let n = 0; n + 1 < state.rows; n++) {
+    ratios.push(bigRatio(rowMax(n + 1), rowMax(n)));
+  }
+  let chart = '';
+  if (ratios.length >= 2) {
+    const width = 260;
+    const height = 120;
+    const pad = 24;
+    const yMin = 1;
+    const yMax = 2.2;
+    const toX = i => pad + (i / (ratios.length - 1)) * (width - 2 * pad);
+    const toY = r => height - pad - ((r - yMin) / (yMax - yMin)) * (height - 2 * pad);
+    const points = ratios.map((r, i) => `${toX(i).toFixed(1)},${toY(r).toFixed(1)}`).join(' ');
+    chart = `
+      <svg class="row-max-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <line x1="${pad}" y1="${toY(2)}" x2="${width - pad}" y2="${toY(2)}" stroke="#94a3b8" stroke-dasharray="4,3"/>
+        <text x="${width - pad + 4}" y="${toY(2) + 4}" font-size="11" fill="#64748b">2</text>
+        <text x="${width - pad + 4}" y="${toY(1) + 4}" font-size="11" fill="#64748b">1</text>
+        <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#cbd5e1"/>
+        <polyline points="${points}" fill="none" stroke="#7c3aed" stroke-width="2"/>
+        <text x="${pad}" y="${height - 6}" font-size="11" fill="#64748b">n = 0</text>
+        <text x="${width - pad}" y="${height - 6}" font-size="11" fill="#64748b" text-anchor="end">n = ${ratios.length - 1}</text>
+      </svg>`;
   }
+  
+  const unimodal = katex.renderToString(`\\frac{${binomLatex('n', 'k+1')}}{${binomLatex('n', 'k')}} = \\frac{n-k}{k+1} > 1 \\iff k < \\frac{n-1}{2}`, { throwOnError: false, displayMode: true });
+  
+  return `
+    <div class="row-max-details">
+      <strong>${t('rowMax.unimodalTitle')}</strong>
+      <div class="katex-display">${unimodal}</div>
+      <p>${t('rowMax.unimodal')}</p>
+      <strong>${t('rowMax.stirlingTitle')}</strong>
+      ${table}
+      <strong>${t('rowMax.growthTitle')}</strong>
+      ${chart}
+      <p>${t('rowMax.growth')}</p>
+    </div>
+  `;
+}
 
-  // 显示数学规律
-  if (state.currentPattern) {
-    highlightPatternCells(state.currentPattern);
-    updatePatternInfoPanel(state.currentPattern);
-  } else if (el.patternInfoPanel) {
-    el.patternInfoPanel.innerHTML = '';
+/**
+ * 获取系数不小于进制（会产生进位）的单元格
+ * @returns {Array<HTMLElement>} 需要进位的单元格
+ */
+function getCarryCells() {
+  const base = BigInt(state.powerBase);
+  const cells = [];
+  for (let n = 0; n < state.rows; n++) {
+    // 每行系数先增后减，从中间向两侧找到不小于进制的范围
+    for (let k = Math.floor(n / 2); k >= 0 && view.triangle[n][k] >= base; k--) {
+      const left = getCell(n, k);
+      const right = getCell(n, n - k);
+      if (left) cells.push(left);
+      if (right && n - k !== k) cells.push(right);
+    }
   }
+  return cells;
 }
 
 /**
- * 点击杨辉三角单元格时的处理函数
- * 功能：更新底部二项式展开公式和右侧信息面板的内容
+ * 获取乘方规律中逐步展示进位的行
+ * 未指定时选择第一个出现进位的行，没有进位时选择最后一行
+ * @returns {number} 行索引
+ */
+function getPowerRow() {
+  if (state.powerRow !== null && state.powerRow < state.rows) return state.powerRow;
+  const base = BigInt(state.powerBase);
+  for (let n = 0; n < state.rows; n++) {
+    if (view.triangle[n][Math.floor(n / 2)] >= base) return n;
+  }
+  return state.rows - 1;
+}
+
+/**
+ * 将第n行的系数按b进制从右往左逐位进位，得到 (b+1)^n
  * @param {number} n - 行索引
- * @param {number} k - 列索引
- * @param {number} value - 单元格数值
+ * @param {number} base - 进制
+ * @returns {{steps: Array<{k: number, coeff: bigint, carryIn: bigint, total: bigint, digit: number, carryOut: bigint}>, digits: string}}
+ *          每一步处理的系数、进位与写下的数字，以及最终的b进制结果
  */
-function onCellClick(n, k, value) {
-  // 记录最后点击的单元格信息，用于后续可能的更新
-  el.lastClicked = [n, k, value];
-  
-  // 更新底部显示的二项式展开公式
-  const binomLaTeX = showBinomialExpansion(n);
-  el.expansionContent.innerHTML = katex.renderToString(binomLaTeX, {
-    throwOnError: false,
-    displayMode: true
-  });
+function getPowerCarrySteps(n, base) {
+  const b = BigInt(base);
+  const steps = [];
+  let carry = 0n;
+  let digits = '';
   
-  // 更新右侧信息面板，显示当前选择的组合数和公式
-  const combLaTeX = `C_{${n}}^{${k}} = ${value}`;
-  const combFormula = `C_{n}^{k} = \\frac{n!}{k!(n-k)!}`;
+  // 最右边的系数是最低位
+  for (let k = n; k >= 0; k--) {
+    const coeff = view.triangle[n][k];
+    const total = coeff + carry;
+    const digit = Number(total % b);
+    steps.push({ k, coeff, carryIn: carry, total, digit, carryOut: total / b });
+    carry = total / b;
+    digits = digit.toString(base).toUpperCase() + digits;
+  }
+  // 最高位剩余的进位直接写在最前面
+  if (carry > 0n) digits = carry.toString(base).toUpperCase() + digits;
   
-  el.infoContent.innerHTML = `
-      <div><strong>当前选择：</strong> 第 ${n} 行, 第 ${k} 个元素</div>
-      <div style="margin-top:8px">${katex.renderToString(combLaTeX, {throwOnError: false, displayMode: true})}</div>
-      <div style="margin-top:8px; font-size:0.95rem;">${katex.renderToString(combFormula, {throwOnError: false, displayMode: true})}</div>
-  `;
+  return { steps, digits };
 }
 
 /**
- * 绘制竖直对称线，从杨辉三角第一个元素的中点画一条竖直向下的直线
- * 功能：找到这条竖直线上的所有元素，将它们变为圆角方形，并画一条竖直的线连接这些元素
+ * 生成逐步进位的表格
+ * @param {number} n - 行索引
+ * @returns {string} HTML字符串
  */
-function drawVerticalSymmetryLine() {
-  const svg = el.svg;
-  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
+function renderPowerCarrySteps(n) {
+  const base = state.powerBase;
+  const { steps, digits } = getPowerCarrySteps(n, base);
+  const expected = (BigInt(base + 1) ** BigInt(n)).toString(base).toUpperCase();
   
-  // 定义对称线颜色
-  const symmetryColor = '#2ecc71';
+  let partial = '';
+  const rows = steps.map(step => {
+    partial = step.digit.toString(base).toUpperCase() + partial;
+    const carried = step.carryOut > 0n ? ' class="carry-step"' : '';
+    return `
+      <tr${carried}>
+        <td>C(${n},${step.k})</td>
+        <td>${formatValueText(step.coeff)}</td>
+        <td>${formatValueText(step.carryIn)}</td>
+        <td>${formatValueText(step.total)}</td>
+        <td>${step.digit.toString(base).toUpperCase()}</td>
+        <td>${formatValueText(step.carryOut)}</td>
+        <td class="carry-partial">${partial}</td>
+      </tr>`;
+  }).join('');
   
-  // 获取容器的高度，用于确定线条的终点
-  const containerHeight = containerRect.height;
+  const valueLatex = base === 10
+    ? `${digits} = 11^{${n}}`
+    : `(${digits})_{${base}} = ${base + 1}^{${n}} = ${formatValueLatex(BigInt(base + 1) ** BigInt(n))}`;
   
-  // 找到第一个元素（顶点）
-  const firstCell = el.triangleContainer.querySelector(`.pascal-number[data-n='0'][data-k='0']`);
+  return `
+    <div class="power-steps">
+      <strong>${t('power.stepsTitle', { n, base })}</strong>
+      <div class="power-concat">${view.triangle[n].map(formatValueText).join(' | ')}</div>
+      <table class="power-table">
+        <thead>
+          <tr>${['coefficient', 'value', 'carryIn', 'total', 'digit', 'carryOut', 'partial'].map(key => `<th>${t(`power.columns.${key}`)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="katex-display">${katex.renderToString(valueLatex, { throwOnError: false, displayMode: true })}</div>
+      ${digits === expected ? '' : `<p class="lucas-error">${t('power.mismatch')}</p>`}
+    </div>
+  `;
+}
+
+/**
+ * 只替换数学规律面板中的进位表格，信息面板中所点击格子的内容保持不变
+ */
+function refreshPowerCarrySteps() {
+  const steps = el.patternInfoPanel && el.patternInfoPanel.querySelector('.power-steps');
+  if (steps) steps.outerHTML = renderPowerCarrySteps(getPowerRow());
+}
+
+/**
+ * 在每一行右侧标注按进制拼接的系数与进位后的乘方结果
+ */
+function drawPowerLabels() {
+  const ns = "http://www.w3.org/2000/svg";
+  const base = state.powerBase;
+  const [firstRow, lastRow] = getVisibleRowRange();
   
-  if (firstCell) {
-    // 计算第一个元素中心点相对于容器的坐标
-    const firstRect = firstCell.getBoundingClientRect();
-    const verticalLineX = firstRect.left + firstRect.width / 2 - containerRect.left;
-    const firstPointY = firstRect.top + firstRect.height / 2 - containerRect.top;
-    
-    // 将第一个元素变为圆角方形
-    firstCell.classList.add('rounded-square');
+  for (let n = firstRow; n <= lastRow; n++) {
+    const rowEnd = getCellGeometry(n, n);
+    if (!rowEnd || !isPointVisible(rowEnd.x, rowEnd.y)) continue;
     
-    // 存储竖直线上的元素
-    const verticalLineCells = [firstCell];
+    const { steps, digits } = getPowerCarrySteps(n, base);
+    const hasCarry = steps.some(step => step.carryOut > 0n);
+    const power = base === 10 ? `11^${n}` : `${base + 1}^${n}`;
+    const result = base === 10 ? digits : `(${digits})₍${base}₎`;
+    // 行数较多时只标注结果的位数，避免标签过长
+    const label = n <= 12
+      ? `${view.triangle[n].map(String).join('·')} ⇒ ${result} = ${power}`
+      : t(base === 10 ? 'power.digitCount' : 'power.digitCountBase', { power, count: digits.length, base });
     
-    // 遍历每一行，找到竖直线上的元素
-    for (let n = 0; n < state.rows; n+=2) {
-      // 获取当前行的所有元素
-      const rowCells = el.triangleContainer.querySelectorAll(`.pascal-number[data-n='${n}']`);
-      let closestCell = null;
-      let minDistance = Infinity;
-      
-      // 找出该行中离竖直线最近的元素
-      rowCells.forEach(cell => {
-        const rect = cell.getBoundingClientRect();
-        const cellCenterX = rect.left + rect.width / 2 - containerRect.left;
-        const distance = Math.abs(cellCenterX - verticalLineX);
-        
-        if (distance < minDistance) {
-          minDistance = distance;
-          closestCell = cell;
-        }
-      });
-      
-      // 如果找到符合条件的元素，将其变为圆角方形
-      if (closestCell) {
-        closestCell.classList.add('rounded-square');
-        verticalLineCells.push(closestCell);
-        
-        // 在元素中心添加小圆点标记
-        const rect = closestCell.getBoundingClientRect();
-        const cellCenterX = rect.left + rect.width / 2 - containerRect.left;
-        const cellCenterY = rect.top + rect.height / 2 - containerRect.top;
-        
-        const circle = document.createElementNS("http://www.w3.org/2000/svg", 'circle');
-        circle.setAttribute('cx', cellCenterX);
-        circle.setAttribute('cy', cellCenterY);
-        circle.setAttribute('r', '6');
-        circle.setAttribute('fill', symmetryColor);
-        circle.setAttribute('opacity', '0.9');
-        circle.setAttribute('stroke', 'white');
-        circle.setAttribute('stroke-width', '2');
-        svg.appendChild(circle);
-      }
+    const text = document.createElementNS(ns, 'text');
+    text.setAttribute('x', rowEnd.x + rowEnd.width / 2 + 16);
+    text.setAttribute('y', rowEnd.y + 4);
+    text.setAttribute('font-size', '13');
+    text.setAttribute('font-weight', 'bold');
+    text.setAttribute('fill', hasCarry ? '#ef4444' : '#1e293b');
+    text.textContent = label;
+    el.svg.appendChild(text);
+  }
+}
+
+/**
+ * 获取格路计数的终点，行数减少后终点不存在时返回null
+ * @returns {Array<number>|null} 终点 [n, k]
+ */
+function getLatticePathTarget() {
+  const target = state.pathTarget;
+  if (!target || target[0] >= state.rows) return null;
+  return target;
+}
+
+/**
+ * 按字典序（向左下 ↙ 在前）求从顶点到 (n,k) 的第 rank 条路径
+ * 从 (i,j) 出发还剩 r 步、需要向右 d 步时，先向左下的路径共有 C(r-1, d) 条
+ * @param {number} n - 终点行索引
+ * @param {number} k - 终点列索引
+ * @param {bigint} rank - 路径序号，0 ≤ rank < C(n,k)
+ * @returns {Array<Array<number>>} 路径依次经过的格子 [i, j]，包含顶点和终点
+ */
+function unrankLatticePath(n, k, rank) {
+  const path = [[0, 0]];
+  let j = 0;
+  for (let i = 0; i < n; i++) {
+    const remaining = n - i;
+    const rightsLeft = k - j;
+    const leftCount = rightsLeft <= remaining - 1 ? combination(remaining - 1, rightsLeft) : 0n;
+    if (rank >= leftCount) {
+      rank -= leftCount;
+      j++;
     }
-    
-    // 绘制从第一个元素中点竖直向下的直线
-    const line = document.createElementNS("http://www.w3.org/2000/svg", 'line');
-    line.setAttribute('x1', verticalLineX);
-    line.setAttribute('y1', firstPointY);
-    line.setAttribute('x2', verticalLineX);
-    line.setAttribute('y2', containerHeight); // 延伸到容器底部
-    line.setAttribute('stroke', symmetryColor);
-    line.setAttribute('stroke-width', '3');
-    line.setAttribute('stroke-opacity', '0.7');
-    line.setAttribute('stroke-linecap', 'round');
-    line.setAttribute('stroke-dasharray', '5,3'); // 虚线效果
-    svg.appendChild(line);
+    path.push([i + 1, j]);
   }
+  return path;
 }
 
 /**
- * 绘制行连接和显示行总和
- * 功能：为每一行的所有元素绘制一条连接线，并在末端显示该行的总和公式 2^n = 总和
+ * 把路径写成每一步的方向箭头
+ * @param {Array<Array<number>>} path - 路径经过的格子
+ * @returns {string} 例如 "↙↘↘"
  */
-function drawRowSums() {
-  const svg = el.svg;
-  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
-  const lines = Array.from(el.triangleContainer.querySelectorAll('.pascal-line'));
+function latticePathToArrows(path) {
+  return path.slice(1).map(([, j], i) => (j === path[i][1] ? '↙' : '↘')).join('');
+}
+
+/**
+ * 获取当前演示路径经过的单元格（按行顺序）
+ * @returns {Array<HTMLElement>} 路径上的单元格
+ */
+function getLatticePathCells() {
+  const target = getLatticePathTarget();
+  if (!target) return [];
+  return unrankLatticePath(target[0], target[1], state.pathRank)
+    .map(([i, j]) => getCell(i, j))
+    .filter(Boolean);
+}
+
+/**
+ * 选择要演示的路径：更新路径列表、高亮路径上的格子并重新绘制动画
+ * @param {bigint} rank - 路径序号，超出范围时截断
+ */
+function selectLatticePath(rank) {
+  const target = getLatticePathTarget();
+  if (!target) return;
+  const total = combination(target[0], target[1]);
+  state.pathRank = rank < 0n ? 0n : (rank >= total ? total - 1n : rank);
+  refreshLatticePathList();
+  highlightPatternCells('paths');
+  drawOverlays();
+  updatePermalink();
+}
+
+/**
+ * 只替换数学规律面板中的路径列表，信息面板中所点击格子的内容保持不变
+ */
+function refreshLatticePathList() {
+  const list = el.patternInfoPanel && el.patternInfoPanel.querySelector('.lattice-paths, .lattice-path-hint');
+  if (!list) return;
+  list.outerHTML = renderLatticePathList();
+  bindLatticePathControls();
+}
+
+/**
+ * 生成格路列表：总数、当前页的路径以及翻页按钮
+ * @returns {string} HTML字符串
+ */
+function renderLatticePathList() {
+  const target = getLatticePathTarget();
+  if (!target) return `<p class="lattice-path-hint">${t('paths.hint')}</p>`;
   
-  // 定义行连接和总和显示的颜色
-  const sumLineColor = '#3498db';
-  const sumTextColor = '#2980b9';
+  const [n, k] = target;
+  const total = combination(n, k);
+  const pageSize = BigInt(state.pathPageSize);
+  const page = state.pathRank / pageSize;
+  const pageCount = (total + pageSize - 1n) / pageSize;
+  const start = page * pageSize;
+  const end = start + pageSize < total ? start + pageSize : total;
   
-  // 遍历每一行
-  lines.forEach((line, n) => {
-    const cells = Array.from(line.querySelectorAll('.pascal-number'));
-    
-    if (cells.length > 0) {
-      // 计算该行所有元素的和（应该是2^n）
-      const rowSum = cells.reduce((sum, cell) => sum + parseInt(cell.dataset.value), 0);
-      
-      // 获取第一个和最后一个元素的位置
-      const firstRect = cells[0].getBoundingClientRect();
-      const lastRect = cells[cells.length - 1].getBoundingClientRect();
-      
-      // 计算连线的起点和终点坐标
-      const startX = firstRect.left - containerRect.left;
-      const startY = firstRect.top + firstRect.height / 2 - containerRect.top;
-      const endX = lastRect.right - containerRect.left;
-      const endY = lastRect.top + lastRect.height / 2 - containerRect.top;
-      
-      // 绘制连接整行的水平线
-      const rowLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
-      rowLine.setAttribute('x1', startX);
-      rowLine.setAttribute('y1', startY);
-      rowLine.setAttribute('x2', endX);
-      rowLine.setAttribute('y2', endY);
-      rowLine.setAttribute('stroke', sumLineColor);
-      rowLine.setAttribute('stroke-width', '2');
-      rowLine.setAttribute('stroke-opacity', '0.8');
-      rowLine.setAttribute('stroke-linecap', 'round');
-      svg.appendChild(rowLine);
-      
-      // 绘制从最后一个元素到总和标签的连接线
-      const connectLineX1 = endX;
-      const connectLineY1 = endY;
-      const connectLineX2 = endX + 60; // 向右延伸60像素
-      const connectLineY2 = endY;
-      
-      const connectLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
-      connectLine.setAttribute('x1', connectLineX1);
-      connectLine.setAttribute('y1', connectLineY1);
-      connectLine.setAttribute('x2', connectLineX2);
-      connectLine.setAttribute('y2', connectLineY2);
-      connectLine.setAttribute('stroke', sumLineColor);
-      connectLine.setAttribute('stroke-width', '2');
-      connectLine.setAttribute('stroke-opacity', '0.8');
-      connectLine.setAttribute('stroke-linecap', 'round');
-      connectLine.setAttribute('stroke-dasharray', '3,2');
-      svg.appendChild(connectLine);
-      
-      // 显示总和公式：2^n = 行和
-      const sumLabel = `2^${n} = ${rowSum}`;
-      displayRowSumLabel(svg, connectLineX2 + 10, connectLineY2, sumLabel, sumTextColor);
-    }
+  const items = [];
+  for (let rank = start; rank < end; rank++) {
+    const path = unrankLatticePath(n, k, rank);
+    items.push(`
+      <li class="${rank === state.pathRank ? 'active' : ''}" data-rank="${rank}">
+        <span class="lattice-path-rank">#${rank + 1n}</span>
+        <span class="lattice-path-arrows">${latticePathToArrows(path) || t('paths.apex')}</span>
+      </li>`);
+  }
+  
+  const countLatex = katex.renderToString(
+    `${binomLatex(n, k)} = ${formatValueLatex(total)}`,
+    { throwOnError: false, displayMode: false }
+  );
+  
+  return `
+    <div class="lattice-paths">
+      <strong>${t('paths.count', { n, k, count: countLatex })}</strong>
+      <ol class="lattice-path-list">${items.join('')}</ol>
+      <div class="btn-row lattice-path-controls">
+        <button data-step="-page" ${page === 0n ? 'disabled' : ''}>${t('paths.previousPage')}</button>
+        <button data-step="-1" ${state.pathRank === 0n ? 'disabled' : ''}>${t('paths.previous')}</button>
+        <span class="lattice-path-page">${t('paths.page', { page: page + 1n, count: pageCount })}</span>
+        <button data-step="1" ${state.pathRank === total - 1n ? 'disabled' : ''}>${t('paths.next')}</button>
+        <button data-step="page" ${page === pageCount - 1n ? 'disabled' : ''}>${t('paths.nextPage')}</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 为路径列表中的条目和翻页按钮绑定点击事件
+ */
+function bindLatticePathControls() {
+  const container = el.patternInfoPanel.querySelector('.lattice-paths');
+  if (!container) return;
+  const pageSize = BigInt(state.pathPageSize);
+  
+  container.querySelectorAll('li[data-rank]').forEach(item => {
+    item.onclick = () => selectLatticePath(BigInt(item.dataset.rank));
+  });
+  container.querySelectorAll('button[data-step]').forEach(button => {
+    button.onclick = () => {
+      const step = button.dataset.step;
+      // 翻页时选中目标页的第一条路径
+      if (step === 'page') selectLatticePath((state.pathRank / pageSize + 1n) * pageSize);
+      else if (step === '-page') selectLatticePath((state.pathRank / pageSize - 1n) * pageSize);
+      else selectLatticePath(state.pathRank + BigInt(step));
+    };
   });
 }
 
 /**
- * 在指定位置显示行总和公式标签
- * @param {SVGElement} svg - SVG容器元素
- * @param {number} x - x坐标
- * @param {number} y - y坐标
- * @param {string} label - 要显示的标签文本
- * @param {string} color - 文本颜色
+ * 绘制格路计数的覆盖层：
+ * 终点可达区域内的每条边标注沿它流入的路径数（即父格子的值），当前路径沿边做描线动画
  */
-function displayRowSumLabel(svg, x, y, label, color = '#2980b9') {
+function drawLatticePaths() {
+  const target = getLatticePathTarget();
+  if (!target) return;
+  
   const ns = "http://www.w3.org/2000/svg";
+  const [n, k] = target;
+  // (i,j) 在从顶点到终点的某条路径上
+  const inRegion = (i, j) => j >= 0 && j <= k && i - j >= 0 && i - j <= n - k && i <= n;
+  const [firstRow, lastRow] = getVisibleRowRange();
   
-  // 使用KaTeX渲染公式
-  const span = document.createElement('span');
-  try {
-    katex.render(label, span, { throwOnError: false });
-  } catch (e) {
-    span.textContent = label;
+  for (let i = Math.max(1, firstRow); i <= Math.min(n, lastRow + 1); i++) {
+    for (let j = Math.max(0, i - (n - k)); j <= Math.min(i, k); j++) {
+      const cur = getCellGeometry(i, j);
+      if (!cur) continue;
+      [j - 1, j].forEach(pj => {
+        if (!inRegion(i - 1, pj)) return;
+        const from = getCellGeometry(i - 1, pj);
+        if (!from || (!isPointVisible(cur.x, cur.y) && !isPointVisible(from.x, from.y))) return;
+        
+        const edge = document.createElementNS(ns, 'line');
+        edge.setAttribute('x1', from.x);
+        edge.setAttribute('y1', from.y);
+        edge.setAttribute('x2', cur.x);
+        edge.setAttribute('y2', cur.y);
+        edge.setAttribute('class', 'lattice-edge');
+        el.svg.appendChild(edge);
+        
+        // 格子太小时不标注流量
+        if (cur.width < 24) return;
+        const label = document.createElementNS(ns, 'text');
+        label.setAttribute('x', (from.x + cur.x) / 2 + (pj === j ? -6 : 6));
+        label.setAttribute('y', (from.y + cur.y) / 2 + 4);
+        label.setAttribute('text-anchor', pj === j ? 'end' : 'start');
+        label.setAttribute('class', 'lattice-flow');
+        label.textContent = formatValueText(view.triangle[i - 1][pj]);
+        el.svg.appendChild(label);
+      });
+    }
   }
   
-  // 估算文本宽度
-  const textLength = (label.length * 9) + 10;
-  
-  // 创建背景矩形
-  const rect = document.createElementNS(ns, 'rect');
-  rect.setAttribute('x', x);
-  rect.setAttribute('y', y - 12);
-  rect.setAttribute('width', textLength);
-  rect.setAttribute('height', '24');
-  rect.setAttribute('rx', '12');
-  rect.setAttribute('fill', 'white');
-  rect.setAttribute('stroke', color);
-  rect.setAttribute('stroke-width', '1');
-  rect.setAttribute('opacity', '0.95');
-  svg.appendChild(rect);
-  
-  // 创建文本元素
-  const text = document.createElementNS(ns, 'text');
-  text.setAttribute('x', x + 5);
-  text.setAttribute('y', y + 4);
-  text.setAttribute('font-size', '14');
-  text.setAttribute('fill', color);
-  text.setAttribute('font-weight', 'bold');
-  text.textContent = label;
-  svg.appendChild(text);
+  // 当前路径：折线按长度做描线动画，每一步约150ms，与格子的高亮节奏一致
+  const points = unrankLatticePath(n, k, state.pathRank)
+    .map(([i, j]) => getCellGeometry(i, j))
+    .filter(Boolean);
+  if (points.length < 2) return;
+  const trace = document.createElementNS(ns, 'polyline');
+  trace.setAttribute('points', points.map(point => `${point.x},${point.y}`).join(' '));
+  trace.setAttribute('pathLength', '1');
+  trace.setAttribute('class', 'lattice-path-trace');
+  trace.style.animationDuration = `${(points.length - 1) * 150}ms`;
+  el.svg.appendChild(trace);
+}
+
+/**
+ * 开始逐步构造：先完整渲染，再隐藏所有格子，之后按行从左到右逐个生成
+ * 三项式模式和画布后端不支持逐步构造
+ * @returns {boolean} 是否成功开始
+ */
+function startConstruction() {
+  if (state.multinomial || state.rows > state.canvasThreshold) {
+    el.infoContent.innerHTML = t('construction.unsupported', { rows: state.canvasThreshold });
+    return false;
+  }
+  render();
+  construction.cells = [];
+  view.triangle.forEach((row, n) => row.forEach((_, k) => construction.cells.push([n, k])));
+  construction.active = true;
+  showConstructionStep(0);
+  return true;
+}
+
+/**
+ * 自动播放：按设定的速度每次生成一个格子，全部生成后结束构造
+ */
+function playConstruction() {
+  construction.playing = true;
+  updateConstructionControls();
+  const tick = () => {
+    if (!construction.playing) return;
+    if (construction.index >= construction.cells.length) {
+      render();
+      return;
+    }
+    stepConstruction(1);
+    construction.timer = setTimeout(tick, 1000 / state.constructionSpeed);
+  };
+  tick();
+}
+
+/**
+ * 暂停自动播放，保留当前的构造进度
+ */
+function pauseConstruction() {
+  construction.playing = false;
+  clearTimeout(construction.timer);
+  updateConstructionControls();
+}
+
+/**
+ * 结束逐步构造（由 render() 调用，此后页面与普通渲染完全相同）
+ */
+function stopConstruction() {
+  construction.active = false;
+  pauseConstruction();
 }
 
 /**
- * 绘制杨辉三角中单元格之间的连接线
- * 功能：为每一行的每个单元格与其下一行的对应单元格之间绘制连接线
+ * 前进或后退一步
+ * @param {number} delta - 1 为生成下一个格子，-1 为撤销上一个格子
  */
-function drawConnections() {
-  clearSVG(); // 先清空现有的连接线
+function stepConstruction(delta) {
+  if (!construction.active) return;
+  const index = construction.index + delta;
+  if (index < 0 || index > construction.cells.length) return;
+  showConstructionStep(index);
+}
+
+/**
+ * 显示构造到第 index 步的状态：前 index 个格子可见，最新生成的格子与它的父项高亮，
+ * 信息面板显示代入父项的加法
+ * @param {number} index - 已生成的格子数
+ */
+function showConstructionStep(index) {
+  construction.index = index;
+  const type = TRIANGLE_TYPES[state.triangleType];
   
-  const svg = el.svg;
-  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
-  const lines = Array.from(el.triangleContainer.querySelectorAll('.pascal-line'));
+  construction.cells.forEach(([n, k], i) => {
+    const cell = getCell(n, k);
+    cell.classList.toggle('construct-pending', i >= index);
+    cell.classList.remove('construct-new', 'highlight');
+  });
   
-  // 遍历每一行，除了最后一行
-  for (let i = 0; i < lines.length - 1; i++) {
-    const curNums = Array.from(lines[i].querySelectorAll('.pascal-number'));
-    const nextNums = Array.from(lines[i+1].querySelectorAll('.pascal-number'));
-    
-    // 为当前行的每个单元格绘制到下一行对应单元格的连接线
-    curNums.forEach((cell, j) => {
-      const cRect = cell.getBoundingClientRect();
-      // 计算当前单元格中心点相对容器的坐标
-      const cX = cRect.left + cRect.width/2 - containerRect.left;
-      const cY = cRect.top + cRect.height/2 - containerRect.top;
-      
-      // 绘制到下一行左侧单元格的连接线
-      if (j < nextNums.length) {
-        const leftRect = nextNums[j].getBoundingClientRect();
-        drawSVGLine(
-          svg, 
-          cX, cY, 
-          leftRect.left + leftRect.width/2 - containerRect.left, 
-          leftRect.top + leftRect.height/2 - containerRect.top
-        );
-      }
-      
-      // 绘制到下一行右侧单元格的连接线
-      if (j+1 < nextNums.length) {
-        const rightRect = nextNums[j+1].getBoundingClientRect();
-        drawSVGLine(
-          svg, 
-          cX, cY, 
-          rightRect.left + rightRect.width/2 - containerRect.left, 
-          rightRect.top + rightRect.height/2 - containerRect.top
-        );
-      }
+  if (index > 0) {
+    const [n, k] = construction.cells[index - 1];
+    getCell(n, k).classList.add('construct-new');
+    // 重新添加高亮类以重播动画
+    type.parents(n, k).forEach(parent => {
+      const cell = getCell(parent.n, parent.k);
+      void cell.offsetWidth;
+      cell.classList.add('highlight');
     });
+    el.infoContent.innerHTML = `
+      <div><strong>${t('construction.label')}</strong> ${t('construction.step', { index, count: construction.cells.length, n, k })}</div>
+      <div style="margin-top:8px">${katex.renderToString(getRecurrenceLatex(n, k, view.triangle[n][k]), { throwOnError: false, displayMode: true })}</div>
+    `;
+    el.buildRowInput.value = n;
+    el.buildRowLabel.textContent = n;
+  } else {
+    el.infoContent.innerHTML = `<div><strong>${t('construction.label')}</strong> ${t('construction.start')}</div>`;
   }
+  
+  // 最后一个格子生成后结束构造，页面恢复为普通渲染的结果（信息面板保留最后一步的加法）
+  if (index === construction.cells.length) {
+    render();
+    return;
+  }
+  updateConstructionControls();
+  drawOverlays();
 }
 
 /**
- * 在SVG中绘制单条线
- * @param {SVGElement} svg - SVG容器元素
- * @param {number} x1 - 起始点x坐标
- * @param {number} y1 - 起始点y坐标
- * @param {number} x2 - 结束点x坐标
- * @param {number} y2 - 结束点y坐标
+ * 绘制最新生成的格子与父项之间的连线
  */
-function drawSVGLine(svg, x1, y1, x2, y2) {
-  const ns = "http://www.w3.org/2000/svg";
-  const line = document.createElementNS(ns, 'line');
-  
-  // 设置线的属性
-  line.setAttribute('x1', x1);
-  line.setAttribute('y1', y1);
-  line.setAttribute('x2', x2);
-  line.setAttribute('y2', y2);
-  line.setAttribute('stroke', '#e74c3c');       // 线的颜色
-  line.setAttribute('stroke-width', '3');       // 线的宽度
-  line.setAttribute('stroke-opacity', '0.85');  // 线的透明度
-  line.setAttribute('stroke-linecap', 'round'); // 线的端点样式
-  
-  svg.appendChild(line);
+function drawConstructionEdges() {
+  if (construction.index === 0) return;
+  const [n, k] = construction.cells[construction.index - 1];
+  const cur = getCellGeometry(n, k);
+  TRIANGLE_TYPES[state.triangleType].parents(n, k).forEach(parent => {
+    const from = getCellGeometry(parent.n, parent.k);
+    if (cur && from) drawSVGLine(el.svg, from.x, from.y, cur.x, cur.y);
+  });
 }
 
 /**
- * 清空SVG容器中的所有内容
+ * 更新播放器按钮的文字与可用状态
  */
-function clearSVG() {
-  // 确保el.svg存在且有子元素
-  while (el.svg && el.svg.firstChild) {
-    el.svg.removeChild(el.svg.firstChild);
+function updateConstructionControls() {
+  if (!el.buildPlayBtn) return;
+  el.buildPlayBtn.innerHTML = construction.playing
+    ? `<i class="fas fa-pause"></i> ${t('buttons.pause')}`
+    : `<i class="fas fa-play"></i> ${t(construction.active ? 'buttons.resume' : 'buttons.construct')}`;
+  el.buildBackBtn.disabled = !construction.active || construction.index === 0;
+  el.buildForwardBtn.disabled = construction.active && construction.index >= construction.cells.length;
+  el.buildStopBtn.disabled = !construction.active;
+  el.buildRowInput.max = state.rows - 1;
+  if (!construction.active) {
+    el.buildRowInput.value = state.rows - 1;
+    el.buildRowLabel.textContent = state.rows - 1;
   }
 }
 
 /**
- * 高亮显示特定的数学规律相关的单元格
- * @param {string} pattern - 数学规律类型
+ * 创建带种子的伪随机数生成器（mulberry32），相同种子产生相同的序列
+ * @param {number} seed - 32位整数种子
+ * @returns {function(): number} 返回 [0,1) 之间随机数的函数
  */
-function highlightPatternCells(pattern) {
-  const cells = el.triangleContainer.querySelectorAll('.pascal-number');
-  const patternCells = [];
-  
-  // 移除所有之前的高亮
-  cells.forEach(cell => {
-    cell.classList.remove('highlight-fibonacci', 'highlight-natural', 
-                         'highlight-triangular', 'highlight-tetrahedral');
-  });
-  
-  // 根据不同的规律类型，筛选需要高亮的单元格
-  switch(pattern) {
-    case 'fibonacci':
-      // 斐波那契数列：沿对角线方向相加
-      patternCells.push(...getFibonacciCells());
-      break;
-    case 'natural':
-      // 自然数：第0列和第1列的斜列
-      patternCells.push(...getNaturalNumberCells());
-      break;
-    case 'triangular':
-      // 三角数：第2列的斜列
-      patternCells.push(...getTriangularNumberCells());
-      break;
-    case 'tetrahedral':
-      // 四面体数：第3列的斜列
-      patternCells.push(...getTetrahedralNumberCells());
-      break;
-  }
-  
-  // 添加高亮类和动画效果
-  animatePatternCells(patternCells, pattern);
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
 /**
- * 为高亮的单元格添加动画效果
- * @param {Array<HTMLElement>} cells - 要添加动画的单元格数组
- * @param {string} pattern - 数学规律类型
+ * 计算 BigInt 的自然对数（位数较多时只取前15位有效数字）
+ * @param {bigint} value - 正整数
+ * @returns {number}
  */
-function animatePatternCells(cells, pattern) {
-  const highlightClass = `highlight-${pattern}`;
-  
-  // 按顺序为单元格添加高亮效果，创建动画序列
-  cells.forEach((cell, index) => {
-    setTimeout(() => {
-      cell.classList.add(highlightClass);
-      // 添加轻微的动画效果
-      const animation = cell.animate([
-        { transform: 'scale(1)', opacity: '1' },
-        { transform: 'scale(1.05)', opacity: '0.9' },
-        { transform: 'scale(1)', opacity: '1' }
-      ], {
-        duration: 600,
-        easing: 'ease-out'
-      });
-    }, index * 150); // 每个单元格间隔150ms，创建流动效果
-  });
+function bigLog(value) {
+  const digits = value.toString();
+  if (digits.length <= 15) return Math.log(Number(value));
+  return Math.log(Number(digits.slice(0, 15))) + (digits.length - 15) * Math.LN10;
 }
 
 /**
- * 获取组成斐波那契数列的单元格
- * 斐波那契数列规律：沿对角线方向的数字之和
- * @returns {Array<HTMLElement>} 斐波那契数列相关的单元格
+ * 二项分布的概率 C(n,k) p^k (1-p)^(n-k)，在对数域中计算以避免溢出
+ * @param {number} n - 试验次数（行索引）
+ * @param {number} k - 成功次数（列索引）
+ * @param {number} p - 成功概率
+ * @param {bigint} [coeff=C(n,k)] - 组合数 C(n,k)，已有该行数据时直接传入以免重新计算
+ * @returns {number}
  */
-function getFibonacciCells() {
-  const cells = [];
-  const svg = el.svg;
-  const containerRect = document.getElementById('triangle-wrapper').getBoundingClientRect();
+function binomialPmf(n, k, p, coeff = combination(n, k)) {
+  if (k < 0 || k > n) return 0;
+  if (p <= 0) return k === 0 ? 1 : 0;
+  if (p >= 1) return k === n ? 1 : 0;
+  return Math.exp(bigLog(coeff) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+}
+
+/**
+ * 在分布面板中绘制第n行对应的二项分布 B(n,p) 柱状图，并叠加同均值同方差的正态曲线
+ * @param {number} n - 行索引
+ */
+function renderDistributionChart(n) {
+  if (!el.distributionContent) return;
+  el.distributionRow = n;
+  el.distributionPanel.hidden = false;
   
-  // 定义斐波那契数列颜色
-  const fibColor = '#e74c3c';
+  const p = state.distributionP;
+  const mean = n * p;
+  const variance = n * p * (1 - p);
+  const sd = Math.sqrt(variance);
+  // 第n行的组合数作为权重：C(n,k) p^k (1-p)^(n-k)
+  const pmf = view.triangle[n].map((coeff, k) => binomialPmf(n, k, p, coeff));
+  const normal = x => Math.exp(-((x - mean) ** 2) / (2 * variance)) / (sd * Math.sqrt(2 * Math.PI));
+  const maxError = sd > 0 ? Math.max(...pmf.map((v, k) => Math.abs(v - normal(k)))) : null;
   
-  // 计数，这是第几个斐波那契数
-  let countNum = 1;
+  const width = 360;
+  const height = 180;
+  const pad = 24;
+  const yMax = Math.max(...pmf, sd > 0 ? normal(mean) : 0) * 1.1;
+  const barWidth = (width - 2 * pad) / (n + 1);
+  const toX = x => pad + (x + 0.5) * barWidth;
+  const toY = v => height - pad - (v / yMax) * (height - 2 * pad);
   
-  // 计算并绘制斐波那契数列的对角线
-  for (let m = 0; m < state.rows; m++) {
-    const diagonalCells = [];
-    let sum = 0;
-    
-    for (let i = 0; i <= m; i++) {
-      const n = m - i;
-      const k = i;
-      const cell = el.triangleContainer.querySelector(`.pascal-number[data-n='${n}'][data-k='${k}']`);
-      if (cell) {
-        diagonalCells.push(cell);
-        sum += parseInt(cell.dataset.value);
-      }
-    }
-    
-    // 如果有对角线单元格，将它们加入结果数组
-    if (diagonalCells.length > 0) {
-      // 设置同一对角线上所有单元格的颜色
-      diagonalCells.forEach(cell => {
-        // 存储原始背景色，以便后续可能的恢复
-        if (!cell.dataset.originalBg) {
-          cell.dataset.originalBg = cell.style.backgroundColor || '';
-        }
-        // 应用新的背景色
-        cell.style.backgroundColor = fibColor + '30'; // 带透明度的颜色
-        cells.push(cell);
-      });
-      
-      // 为对角线添加连接线
-      if (svg && diagonalCells.length > 0) {
-        const lastRect = diagonalCells[diagonalCells.length - 1].getBoundingClientRect();
-        
-        // 绘制连续的对角线，使元素看起来连成一条直线
-        if (diagonalCells.length > 1) {
-          // 获取对角线的起点和终点坐标
-          const firstRect = diagonalCells[0].getBoundingClientRect();
-          const lastRect = diagonalCells[diagonalCells.length - 1].getBoundingClientRect();
-          
-          const startX = firstRect.left + firstRect.width/2 - containerRect.left;
-          const startY = firstRect.top + firstRect.height/2 - containerRect.top;
-          const endX = lastRect.left + lastRect.width/2 - containerRect.left;
-          const endY = lastRect.top + lastRect.height/2 - containerRect.top;
-          
-          // 绘制一条连续的直线连接整个对角线
-          const line = document.createElementNS("http://www.w3.org/2000/svg", 'line');
-          line.setAttribute('x1', startX);
-          line.setAttribute('y1', startY);
-          line.setAttribute('x2', endX);
-          line.setAttribute('y2', endY);
-          line.setAttribute('stroke', fibColor);
-          line.setAttribute('stroke-width', '3');
-          line.setAttribute('stroke-opacity', '0.6');
-          line.setAttribute('stroke-linecap', 'round');
-          svg.appendChild(line);
-          
-          // 在直线上添加小圆点标记每个单元格的位置
-          diagonalCells.forEach(cell => {
-            const rect = cell.getBoundingClientRect();
-            const dotX = rect.left + rect.width/2 - containerRect.left;
-            const dotY = rect.top + rect.height/2 - containerRect.top;
-            
-            const circle = document.createElementNS("http://www.w3.org/2000/svg", 'circle');
-            circle.setAttribute('cx', dotX);
-            circle.setAttribute('cy', dotY);
-            circle.setAttribute('r', '5');
-            circle.setAttribute('fill', fibColor);
-            circle.setAttribute('opacity', '0.8');
-            svg.appendChild(circle);
-          });
-        }
-        
-        // 绘制延伸到右侧的线，根据斐波那契数列元素的序号绘制不同的连接线
-        const xStart = lastRect.left + lastRect.width/2 - containerRect.left;
-        const yStart = lastRect.top + lastRect.height/2 - containerRect.top;
-        
-        let xEnd, yEnd;
-        
-        if(countNum === 1){
-          // 第一个元素"1"的连接线直接向右延伸100
-          xEnd = xStart + 100;
-          yEnd = yStart-20;
-        } else if(countNum === 2){
-          const midX1 = xStart + 51;
-          const midY1 = yStart - 60;
-          xEnd = midX1 + 90;
-          yEnd = midY1-30;
-        } else {
-          // 第3个元素及以后的所有元素都使用主延伸线直接延伸出来
-          // 如果是偶数序数的元素，多向右上80像素
-
-          if(countNum%2===0){//如果是偶数序数元素
-            xEnd = xStart+120;
-            yEnd = yStart-105;
-          }else{
-            xEnd = xStart+70;
-            yEnd = yStart-57;
-          }
-        }
-        
-        // 绘制主延伸线 - 确保所有第三个元素及以后的元素（包括偶数序数）都沿着这条直线延伸
-        const extendLine = document.createElementNS("http://www.w3.org/2000/svg", 'line');
-        extendLine.setAttribute('x1', xStart);
-        extendLine.setAttribute('y1', yStart);
-        extendLine.setAttribute('x2', xEnd);
-        extendLine.setAttribute('y2', yEnd);
-        extendLine.setAttribute('stroke', fibColor);
-        extendLine.setAttribute('stroke-width', '2');
-        extendLine.setAttribute('stroke-opacity', '0.5');
-        extendLine.setAttribute('stroke-linecap', 'round');
-        extendLine.setAttribute('stroke-dasharray', '4,2');
-        svg.appendChild(extendLine);
-        
-        // 在延伸线的末端显示总和
-        displaySumLabel(svg, xEnd + 10, yEnd, sum, fibColor);
-        
-        // 增加斐波那契数列计数
-        countNum++;
-      }
+  const bars = pmf.map((v, k) => `
+    <rect x="${(toX(k) - barWidth * 0.4).toFixed(1)}" y="${toY(v).toFixed(1)}" width="${(barWidth * 0.8).toFixed(1)}"
+          height="${(height - pad - toY(v)).toFixed(1)}" fill="#6366f1" fill-opacity="0.75">
+      <title>P(X=${k}) = ${v.toPrecision(6)}</title>
+    </rect>`).join('');
+  
+  // 正态曲线在 [-0.5, n+0.5] 上取样
+  let curve = '';
+  if (sd > 0) {
+    const samples = 120;
+    const points = [];
+    for (let i = 0; i <= samples; i++) {
+      const x = -0.5 + (n + 1) * i / samples;
+      points.push(`${toX(x).toFixed(1)},${toY(normal(x)).toFixed(1)}`);
     }
+    curve = `<polyline points="${points.join(' ')}" fill="none" stroke="#e11d48" stroke-width="2"/>`;
   }
   
-  return cells;
+  const stats = katex.renderToString(
+    `X \\sim B(${n}, ${p}),\\quad \\mu = np = ${mean.toFixed(4)},\\quad \\sigma^2 = np(1-p) = ${variance.toFixed(4)}`,
+    { throwOnError: false, displayMode: true }
+  );
+  
+  el.distributionContent.innerHTML = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#94a3b8"/>
+      ${bars}
+      ${curve}
+      <text x="${pad}" y="${height - 6}" font-size="11" fill="#64748b">k = 0</text>
+      <text x="${width - pad}" y="${height - 6}" font-size="11" fill="#64748b" text-anchor="end">k = ${n}</text>
+    </svg>
+    ${stats}
+    <p>${maxError === null
+      ? t('distribution.degenerate')
+      : t('distribution.maxError', { error: maxError.toExponential(3) })}</p>
+  `;
 }
 
 /**
- * 获取自然数对应的单元格
- * 自然数：第0列和第1列的斜列
- * @returns {Array<HTMLElement>} 自然数相关的单元格
+ * 重置高尔顿板：清空箱子，按种子重新创建随机数生成器
+ * 小球落入的行为最后点击的行，未点击时为最后一行
  */
-function getNaturalNumberCells() {
-  const cells = [];
-  // 第0列和第1列的数字就是自然数序列
-  for (let n = 0; n < state.rows; n++) {
-    // 第1列（n >= 1）
-    if (n >= 1) {
-      const cell = el.triangleContainer.querySelector(`.pascal-number[data-n='${n}'][data-k='1']`);
-      if (cell) {
-        cell.classList.add('hexagon'); // 添加六边形样式
-        cells.push(cell);
-      }
-    }
-  }
-  return cells;
+function resetGalton() {
+  galton.running = false;
+  const clicked = el.lastClicked && el.lastClicked[0] > 0 && el.lastClicked[0] < state.rows ? el.lastClicked[0] : null;
+  galton.row = clicked !== null ? clicked : Math.max(state.rows - 1, 0);
+  galton.counts = new Array(galton.row + 1).fill(0);
+  // 精确概率只随行和 p 变化，重置时计算一次，动画的每一帧直接使用
+  const coeffs = view.triangle[galton.row];
+  galton.exact = galton.counts.map((_, k) => binomialPmf(galton.row, k, state.galtonP, coeffs ? coeffs[k] : undefined));
+  galton.dropped = 0;
+  galton.landed = 0;
+  galton.balls = [];
+  galton.rng = mulberry32(state.galtonSeed);
+  galton.spawnTimer = 0;
+  renderGaltonChart();
+  updateToggleButtons();
 }
 
 /**
- * 获取三角数对应的单元格
- * 三角数：第2列的斜列（C(n,2)）
- * @returns {Array<HTMLElement>} 三角数相关的单元格
+ * 开始或暂停高尔顿板，全部小球落完后再次点击会重新开始
  */
-function getTriangularNumberCells() {
-  const cells = [];
-  // 三角数出现在第2列（k=2）
-  for (let n = 2; n < state.rows; n++) {
-    const cell = el.triangleContainer.querySelector(`.pascal-number[data-n='${n}'][data-k='2']`);
-    if (cell) {
-      cell.classList.add('hexagon'); // 添加六边形样式
-      cells.push(cell);
-    }
+function toggleGaltonRun() {
+  if (galton.landed >= state.galtonBalls) resetGalton();
+  galton.running = !galton.running;
+  updateToggleButtons();
+  if (galton.running) {
+    galton.lastTime = performance.now();
+    requestAnimationFrame(stepGalton);
   }
-  return cells;
 }
 
 /**
- * 获取四面体数对应的单元格
- * 四面体数：第3列的斜列（C(n,3)）
- * @returns {Array<HTMLElement>} 四面体数相关的单元格
+ * 高尔顿板的一帧：按速度放出新球，推进所有小球，落到底部的球计入箱子
+ * @param {number} time - requestAnimationFrame 提供的时间戳
  */
-function getTetrahedralNumberCells() {
-  const cells = [];
-  // 四面体数出现在第3列（k=3）
-  for (let n = 3; n < state.rows; n++) {
-    const cell = el.triangleContainer.querySelector(`.pascal-number[data-n='${n}'][data-k='3']`);
-    if (cell) {
-      cell.classList.add('hexagon'); // 添加六边形样式
-      cells.push(cell);
+function stepGalton(time) {
+  if (!galton.running) return;
+  // 限制单帧时长，避免切换标签页后小球瞬间落完
+  const dt = Math.min(time - galton.lastTime, 100);
+  galton.lastTime = time;
+  
+  // 速度越快，放球间隔和每行下落时间越短
+  const rowTime = 240 / state.galtonSpeed;
+  const spawnInterval = 600 / state.galtonSpeed;
+  galton.spawnTimer += dt;
+  while (galton.spawnTimer >= spawnInterval && galton.dropped < state.galtonBalls) {
+    galton.spawnTimer -= spawnInterval;
+    // 每经过一行，以概率 p 向右、1-p 向左
+    const path = [0];
+    for (let r = 1; r <= galton.row; r++) {
+      path.push(path[r - 1] + (galton.rng() < state.galtonP ? 1 : 0));
     }
+    galton.balls.push({ path, t: 0 });
+    galton.dropped++;
   }
-  return cells;
+  
+  // 小球经过 row 行后再下落一步进入箱子
+  galton.balls = galton.balls.filter(ball => {
+    ball.t += dt / rowTime;
+    if (ball.t < galton.row + 1) return true;
+    galton.counts[ball.path[galton.row]]++;
+    galton.landed++;
+    return false;
+  });
+  
+  drawGaltonBoard();
+  renderGaltonChart();
+  
+  if (galton.landed >= state.galtonBalls) {
+    galton.running = false;
+    updateToggleButtons();
+    return;
+  }
+  requestAnimationFrame(stepGalton);
 }
 
+/**
+ * 在覆盖层中绘制高尔顿板：所选行下方的箱子（高度表示球数）和正在下落的小球
+ */
+function drawGaltonBoard() {
+  const ns = "http://www.w3.org/2000/svg";
+  const old = el.svg.querySelector('.galton-layer');
+  if (old) old.remove();
+  const layer = document.createElementNS(ns, 'g');
+  layer.setAttribute('class', 'galton-layer');
+  
+  const n = galton.row;
+  const maxCount = Math.max(1, ...galton.counts);
+  const binHeight = 40;
+  
+  // 箱子：位于第n行每个格子正下方
+  for (let k = 0; k <= n; k++) {
+    const cell = getCellGeometry(n, k);
+    if (!cell) continue;
+    const top = cell.y + cell.height / 2 + 4;
+    const width = Math.max(4, cell.width * 0.8);
+    const height = binHeight * galton.counts[k] / maxCount;
+    
+    const frame = document.createElementNS(ns, 'rect');
+    frame.setAttribute('x', cell.x - width / 2);
+    frame.setAttribute('y', top);
+    frame.setAttribute('width', width);
+    frame.setAttribute('height', binHeight);
+    frame.setAttribute('fill', 'none');
+    frame.setAttribute('stroke', '#cbd5e1');
+    layer.appendChild(frame);
+    
+    const bar = document.createElementNS(ns, 'rect');
+    bar.setAttribute('x', cell.x - width / 2);
+    bar.setAttribute('y', top + binHeight - height);
+    bar.setAttribute('width', width);
+    bar.setAttribute('height', height);
+    bar.setAttribute('fill', '#f59e0b');
+    bar.setAttribute('fill-opacity', '0.8');
+    layer.appendChild(bar);
+  }
+  
+  // 小球：在相邻两行的格子之间线性插值，最后一步落入箱子
+  galton.balls.forEach(ball => {
+    const i = Math.floor(ball.t);
+    const frac = ball.t - i;
+    const from = getCellGeometry(i, ball.path[i]);
+    if (!from) return;
+    const to = i < n
+      ? getCellGeometry(i + 1, ball.path[i + 1])
+      : { x: from.x, y: from.y + from.height / 2 + binHeight };
+    if (!to) return;
+    
+    const circle = document.createElementNS(ns, 'circle');
+    circle.setAttribute('cx', from.x + (to.x - from.x) * frac);
+    circle.setAttribute('cy', from.y + (to.y - from.y) * frac);
+    circle.setAttribute('r', Math.max(2, Math.min(6, from.width * 0.1)));
+    circle.setAttribute('fill', '#ef4444');
+    layer.appendChild(circle);
+  });
+  
+  el.svg.appendChild(layer);
+}
 
+/**
+ * 在高尔顿板面板中绘制直方图：实际频率（柱）与精确概率 C(n,k) p^k (1-p)^(n-k)（折线）
+ */
+function renderGaltonChart() {
+  if (!el.galtonChart) return;
+  const n = galton.row;
+  const p = state.galtonP;
+  const exact = galton.exact;
+  const observed = galton.counts.map(count => galton.landed > 0 ? count / galton.landed : 0);
+  
+  const width = 320;
+  const height = 150;
+  const pad = 20;
+  const yMax = Math.max(...exact, ...observed, 1e-9) * 1.1;
+  const barWidth = (width - 2 * pad) / (n + 1);
+  const toX = k => pad + (k + 0.5) * barWidth;
+  const toY = v => height - pad - (v / yMax) * (height - 2 * pad);
+  
+  const bars = observed.map((v, k) => `
+    <rect x="${(toX(k) - barWidth * 0.4).toFixed(1)}" y="${toY(v).toFixed(1)}" width="${(barWidth * 0.8).toFixed(1)}"
+          height="${(height - pad - toY(v)).toFixed(1)}" fill="#f59e0b" fill-opacity="0.7"/>`).join('');
+  const points = exact.map((v, k) => `${toX(k).toFixed(1)},${toY(v).toFixed(1)}`).join(' ');
+  const maxError = galton.landed > 0 ? Math.max(...observed.map((v, k) => Math.abs(v - exact[k]))) : 0;
+  
+  el.galtonChart.innerHTML = `
+    <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#94a3b8"/>
+      ${bars}
+      <polyline points="${points}" fill="none" stroke="#2563eb" stroke-width="2"/>
+      ${exact.map((v, k) => `<circle cx="${toX(k).toFixed(1)}" cy="${toY(v).toFixed(1)}" r="2.5" fill="#2563eb"/>`).join('')}
+      <text x="${pad}" y="${height - 5}" font-size="11" fill="#64748b">k = 0</text>
+      <text x="${width - pad}" y="${height - 5}" font-size="11" fill="#64748b" text-anchor="end">k = ${n}</text>
+    </svg>
+    <p>${t('galton.status', { n, dropped: galton.dropped, total: state.galtonBalls, landed: galton.landed })}</p>
+    <p>${t('galton.legend', { n, p, half: p === 0.5 ? t('galton.half', { n }) : '', error: maxError.toFixed(4) })}</p>
+  `;
+}
 
 /**
  * 绘制延伸到右侧的连接线
@@ -1120,15 +5791,16 @@ function drawExtendedLine(svg, x1, y1, x2, y2, color = '#9b59b6') {
  * @param {SVGElement} svg - SVG容器元素
  * @param {number} x - x坐标
  * @param {number} y - y坐标
- * @param {number} sum - 对角线元素的和
+ * @param {bigint} sum - 对角线元素的和
  * @param {string} color - 文本颜色
  */
 function displaySumLabel(svg, x, y, sum, color = '#9b59b6') {
   const ns = "http://www.w3.org/2000/svg";
+  const label = formatValueText(sum);
   
   // 创建背景矩形
   const rect = document.createElementNS(ns, 'rect');
-  const textLength = (sum.toString().length * 12) + 10; // 估算文本宽度
+  const textLength = (label.length * 12) + 10; // 估算文本宽度
   rect.setAttribute('x', x - 5);
   rect.setAttribute('y', y - 12);
   rect.setAttribute('width', textLength);
@@ -1148,7 +5820,7 @@ function displaySumLabel(svg, x, y, sum, color = '#9b59b6') {
   text.setAttribute('font-size', '14');
   text.setAttribute('fill', color);
   text.setAttribute('font-weight', 'bold');
-  text.textContent = sum.toString();
+  text.textContent = label;
   svg.appendChild(text);
 }
 
@@ -1169,49 +5841,75 @@ function updatePatternInfoPanel(pattern) {
   // 根据不同的规律类型，设置不同的信息和样式
   switch(pattern) {
     case 'fibonacci':
-      title = '斐波那契数列';
-      description = '斐波那契数列是指这样一个数列：0，1，1，2，3，5，8，13，21，34，55，89……这个数列从第3项开始 ，每一项都等于前两项之和。';
+      title = t('patterns.fibonacci.title');
+      description = t('patterns.fibonacci.description');
       formula = 'F(1) = 1, F(2) = 1, F(n) = F(n-1) + F(n-2)';
       detailedFormula = `F_{n} = \\frac{\\phi^{n} - \\psi^{n}}{\\sqrt{5}}`;
       example = 'F₁ = 1, F₂ = 1, F₃ = 2, F₄ = 3, F₅ = 5, F₆ = 8, F₇ = 13, F₈ = 21...';
       colorClass = 'fibonacci-pattern';
-      el.infoContent.innerHTML = `斐波那契数列是指这样一个数列：0，1，1，2，3，5，8，13，21，34，55，89……这个数列从第3项开始 ，每一项都等于前两项之和`;
+      el.infoContent.innerHTML = description;
+      break;
+    case 'diagonal': {
+      const k = state.diagonalK;
+      const info = getDiagonalSequenceInfo(k);
+      const side = t(`patterns.diagonal.sides.${state.diagonalSide === 'right' ? 'right' : 'left'}`);
+      title = t('patterns.diagonal.title', { name: info.name, k, side });
+      description = `${t('patterns.diagonal.description', { name: info.name, k, side })}${info.description}`;
+      // 递推：每一项等于同一斜列的前一项加上前一条斜列的对应项
+      formula = k === 0 ? 'D_{0}(n) = 1' : `D_{${k}}(n) = D_{${k}}(n-1) + D_{${k - 1}}(n)`;
+      detailedFormula = `D_{${k}}(n) = ${binomLatex('n+k-1', 'k')} = ${binomLatex(`n+${k - 1}`, k)}${getDiagonalProductLatex(k)}`;
+      example = Array.from({ length: 8 }, (_, i) => formatValueText(combination(i + k, k))).join(', ') + '...';
+      colorClass = `${info.highlight}-pattern`;
+      el.infoContent.innerHTML = description;
+      break;
+    }
+    case 'square':
+      title = t('patterns.square.title');
+      description = t('patterns.square.description');
+      formula = `${binomLatex('n', 2)} + ${binomLatex('n+1', 2)} = n^2`;
+      detailedFormula = `\\frac{(n-1)n}{2} + \\frac{n(n+1)}{2} = \\frac{n(2n)}{2} = n^2`;
+      example = '1 + 3 = 4, 3 + 6 = 9, 6 + 10 = 16, 10 + 15 = 25, 15 + 21 = 36...';
+      colorClass = 'square-pattern';
+      el.infoContent.innerHTML = t('patterns.square.info');
       break;
-    case 'natural':
-      title = '自然数';
-      description = '自然数就是没有负数的整数';
-      formula = 'N(n) = n';
-      detailedFormula = 'N_{n} = n';
-      example = '1, 2, 3, 4, 5, 6, 7, 8, 9, 10...';
-      colorClass = 'natural-pattern';
-      el.infoContent.innerHTML = `自然数就是没有负数的整数`;
+    case 'rowMax':
+      title = t('patterns.rowMax.title');
+      description = t('patterns.rowMax.description');
+      formula = `\\max_{k} ${binomLatex('n', 'k')} = ${binomLatex('n', '\\lfloor n/2 \\rfloor')}`;
+      detailedFormula = `${binomLatex('2m', 'm')} = \\frac{(2m)!}{(m!)^2} \\sim \\frac{4^m}{\\sqrt{\\pi m}}`;
+      example = Array.from({ length: 8 }, (_, m) => formatValueText(combination(2 * m, m))).join(', ') + '...';
+      colorClass = 'max-pattern';
+      el.infoContent.innerHTML = t('patterns.rowMax.info');
       break;
-    case 'triangular':
-      title = '三角数';
-      description = '杨辉三角的第2列（k=2）的数字构成了三角数序列。三角数表示可以排列成三角形的点的数量，在几何和组合数学中有重要应用。';
-      formula = 'T(n) = \C_{2}^{n+1}=\\frac{n(n+1)}{2}';
-      detailedFormula = `T_{n} = \\binom{n+1}{2} = \\frac{n(n+1)}{2}`;
-      example = '1, 3, 6, 10, 15, 21, 28, 36...';
-      colorClass = 'triangular-pattern';
-      el.infoContent.innerHTML = `杨辉三角的第2列（k=2）的数字构成了三角数序列。三角数表示可以排列成三角形的点的数量，在几何和组合数学中有重要应用。`;
+    case 'power': {
+      const b = state.powerBase;
+      const elevenLabel = b === 10 ? '11' : `(11)_{${b}}`;
+      title = b === 10 ? t('patterns.power.title') : t('patterns.power.titleBase', { b, power: b + 1 });
+      description = t('patterns.power.description', { b, power: b + 1 });
+      formula = `\\sum_{k=0}^{n} ${binomLatex('n', 'k')}\\, ${b}^{n-k} = (${b}+1)^n`;
+      detailedFormula = `${elevenLabel}^n = (${b}+1)^n = \\sum_{k=0}^{n} ${binomLatex('n', 'k')}\\, ${b}^{n-k} \\cdot 1^{k}`;
+      example = Array.from({ length: 7 }, (_, i) => (BigInt(b + 1) ** BigInt(i)).toString(b).toUpperCase()).join(', ') + '...';
+      colorClass = 'power-pattern';
+      el.infoContent.innerHTML = t('patterns.power.info');
       break;
-    case 'tetrahedral':
-      title = '四面体数';
-      description = '杨辉三角的第3列（k=3）的数字构成了四面体数序列。四面体数表示可以排列成四面体的点的数量，是三维空间中的三角数。';
-      formula = 'Te(n) = \C_{3}^{n+2} = \\frac{n(n+1)(n+2)}{6}';
-      detailedFormula = `Te_{n} = \\binom{n+2}{3} = \\frac{n(n+1)(n+2)}{6}`;
-      example = '1, 4, 10, 20, 35, 56, 84, 120...';
-      colorClass = 'tetrahedral-pattern';
-      el.infoContent.innerHTML = `杨辉三角的第3列（k=3）的数字构成了四面体数序列。四面体数表示可以排列成四面体的点的数量，是三维空间中的三角数。`;
+    }
+    case 'paths':
+      title = t('patterns.paths.title');
+      description = t('patterns.paths.description');
+      formula = `${binomLatex('n', 'k')} = ${binomLatex('n-1', 'k-1')} + ${binomLatex('n-1', 'k')}`;
+      detailedFormula = `${t('patterns.paths.countLatex')} = ${binomLatex('n', 'k')}`;
+      example = t('patterns.paths.example');
+      colorClass = 'paths-pattern';
+      el.infoContent.innerHTML = t('patterns.paths.info');
       break;
       case 'prime':
-        title ='素数';
-        description ='素数是指大于1的自然数，且只能被1和它本身整除的数。';
+        title = t('patterns.prime.title');
+        description = t('info.primes');
         formula ='P(n) = n';
-        detailedFormula ='p_{n} = \\text{第}n\\text{个素数}'
+        detailedFormula = t('patterns.prime.formula');
         example ='2, 3, 5, 7, 11, 13, 17, 19...';
         colorClass ='prime-pattern';
-        el.infoContent.innerHTML =`素数是指大于1的自然数，且只能被1和它本身整除的数。`;
+        el.infoContent.innerHTML = description;
         break;
   }
   
@@ -1227,19 +5925,233 @@ function updatePatternInfoPanel(pattern) {
     <div class="pattern-content">
       <p class="pattern-description">${description}</p>
       <div class="pattern-formula">
-        <strong>递推公式：</strong>
+        <strong>${t('patterns.recurrence')}</strong>
         <div class="katex-display">${renderedFormula}</div>
       </div>
       <div class="pattern-detailed-formula">
-        <strong>通项公式：</strong>
+        <strong>${t('patterns.closedForm')}</strong>
         <div class="katex-display">${renderedDetailedFormula}</div>
       </div>
       <div class="pattern-example">
-        <strong>示例：</strong>
+        <strong>${t('patterns.example')}</strong>
         <span>${example}</span>
       </div>
     </div>
   `;
+  
+  if (pattern === 'rowMax') {
+    el.patternInfoPanel.querySelector('.pattern-content').insertAdjacentHTML('beforeend', renderRowMaxDetails());
+  }
+  if (pattern === 'power') {
+    el.patternInfoPanel.querySelector('.pattern-content').insertAdjacentHTML('beforeend', renderPowerCarrySteps(getPowerRow()));
+  }
+  if (pattern === 'paths') {
+    el.patternInfoPanel.querySelector('.pattern-content').insertAdjacentHTML('beforeend', renderLatticePathList());
+    bindLatticePathControls();
+  }
+}
+
+/**
+ * 生成斜列通项公式的乘积形式 n(n+1)...(n+k-1)/k!
+ * @param {number} k - 斜列序号
+ * @returns {string} - 以等号开头的LaTeX字符串，k=0时为 = 1
+ */
+function getDiagonalProductLatex(k) {
+  if (k === 0) return ' = 1';
+  if (k === 1) return ' = n';
+  const factors = k <= 3
+    ? Array.from({ length: k }, (_, i) => (i === 0 ? 'n' : `(n+${i})`)).join('')
+    : `n(n+1)\\cdots(n+${k - 1})`;
+  return ` = \\frac{${factors}}{${k}!}`;
+}
+
+/**
+ * 根据当前激活的功能更新数学规律展示面板
+ * 功能：数学规律、余数着色、素数高亮和行总和各自显示对应的说明，未激活任何功能时清空面板
+ */
+function updateFeatureInfoPanel() {
+  if (!el.patternInfoPanel) return;
+  
+  if (state.currentPattern === 'hockeyStick') {
+    showHockeyStickInfo();
+  } else if (state.currentPattern) {
+    updatePatternInfoPanel(state.currentPattern);
+  } else if (state.showSierpinski) {
+    showResidueLegend();
+  } else if (state.showValuation) {
+    showValuationLegend();
+  } else if (state.showPrimes) {
+    updatePatternInfoPanel('prime');
+  } else if (state.showRowSums) {
+    showRowSumsInfo();
+  } else {
+    el.patternInfoPanel.innerHTML = '';
+  }
+}
+
+/**
+ * 在数学规律展示面板中显示行总和说明
+ */
+function showRowSumsInfo() {
+  // 其他三角形类型显示各自的行和关系
+  if (state.triangleType !== 'pascal' && !state.multinomial) {
+    const { rowSum, name } = TRIANGLE_TYPES[state.triangleType];
+    el.patternInfoPanel.innerHTML = `
+      <div class="pattern-header rowSums-pattern">
+        <h3>${t('rowSums.typeTitle', { name })}</h3>
+      </div>
+      <div class="pattern-content">
+        <p class="pattern-description">${rowSum.description}</p>
+        <div class="pattern-formula">
+          <p>${katex.renderToString(rowSum.latex, { throwOnError: false, displayMode: true })}</p>
+        </div>
+      </div>
+    `;
+    return;
+  }
+  
+  // 三项式模式：第i行的数是 C(n,i)·C(i,j)，行和为 C(n,i)·2^i，整层之和为 3^n
+  if (state.multinomial) {
+    const layer = state.rows - 1;
+    const layerFormula = katex.renderToString(
+      `\\sum_{j=0}^{i} ${binomLatex(layer, 'i')} ${binomLatex('i', 'j')} = ${binomLatex(layer, 'i')} \\cdot 2^i,\\quad \\sum_{i=0}^{${layer}} ${binomLatex(layer, 'i')} \\cdot 2^i = 3^{${layer}}`,
+      { throwOnError: false, displayMode: true }
+    );
+    el.patternInfoPanel.innerHTML = `
+      <div class="pattern-header rowSums-pattern">
+        <h3>${t('rowSums.pyramidTitle', { layer })}</h3>
+      </div>
+      <div class="pattern-content">
+        <p class="pattern-description">${t('rowSums.pyramid', { layer })}</p>
+        <div class="pattern-formula">
+          <p>${layerFormula}</p>
+        </div>
+      </div>
+    `;
+    return;
+  }
+  
+  // 先渲染LaTeX公式
+  const rowSumFormula = katex.renderToString(`\\sum_{k=0}^{n} ${binomLatex('n', 'k')} = 2^n`, { throwOnError: false, displayMode: true });
+  el.patternInfoPanel.innerHTML = `
+    <div class="pattern-header rowSums-pattern">
+      <h3>${t('rowSums.title')}</h3>
+    </div>
+    <div class="pattern-content">
+      <p class="pattern-description">${t('types.pascal.rowSum')}</p>
+      <div class="pattern-formula">
+        <p>${rowSumFormula}</p>
+      </div>
+      <p class="pattern-example">${t('rowSums.example')}</p>
+    </div>
+  `;
+}
+
+/**
+ * 在数学规律展示面板中显示模 m 余数着色的图例
+ * 功能：列出每个余数类的颜色及其在当前三角形中出现的次数
+ */
+function showResidueLegend() {
+  const m = state.modulus;
+  const counts = new Array(m).fill(0);
+  const modulus = BigInt(m);
+  view.triangle.forEach(row => row.forEach(value => {
+    counts[Number(getResidue(value, modulus))]++;
+  }));
+  
+  // 图例：每个余数一个色块
+  const legend = counts.map((count, r) => `
+    <li class="residue-legend-item">
+      <span class="residue-swatch" style="background: var(--residue-${r})"></span>
+      ${t('residue.legendItem', { r, count })}
+    </li>
+  `).join('');
+  
+  // 素数模与素数幂模呈现不同的自相似结构
+  let note = '';
+  if (isPrime(m)) {
+    note = t('residue.prime', { m });
+  } else if (getPrimePowerBase(m)) {
+    note = t('residue.primePower', { m, p: getPrimePowerBase(m) });
+  } else {
+    note = t('residue.composite', { m });
+  }
+  
+  const formula = katex.renderToString(`${binomLatex('n', 'k')} \\bmod ${m}`, { throwOnError: false, displayMode: true });
+  el.patternInfoPanel.innerHTML = `
+    <div class="pattern-header residue-pattern">
+      <h3>${t('residue.title', { m })}</h3>
+    </div>
+    <div class="pattern-content">
+      <p class="pattern-description">${t('residue.description', { m })}</p>
+      <div class="pattern-formula">${formula}</div>
+      <ul class="residue-legend">${legend}</ul>
+      <p class="pattern-example">${note}</p>
+    </div>
+  `;
+}
+
+/**
+ * 判断一个数是否为素数的幂（指数至少为2），是则返回对应的素数
+ * @param {number} m - 要检查的数
+ * @returns {number|null} - 底数素数，不是素数幂时返回null
+ */
+function getPrimePowerBase(m) {
+  for (let p = 2; p * p <= m; p++) {
+    if (m % p !== 0) continue;
+    let rest = m;
+    while (rest % p === 0) rest /= p;
+    return rest === 1 ? p : null;
+  }
+  return null;
+}
+
+/**
+ * 读取styles.css中定义的配色变量（画布后端使用）
+ * @param {string} name - CSS变量名，如 --residue-1
+ * @returns {string} - 颜色值
+ */
+function getCssVarColor(name) {
+  if (!view.cssColors.has(name)) {
+    const color = getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+    view.cssColors.set(name, color || '#6366f1');
+  }
+  return view.cssColors.get(name);
+}
+
+/**
+ * 在数学规律展示面板中显示p进赋值热力图的图例
+ * 功能：说明库默尔定理，并列出每个色阶在当前三角形中出现的次数
+ */
+function showValuationLegend() {
+  const p = state.valuationPrime;
+  const maxLevel = state.maxValuationLevel;
+  const counts = new Array(maxLevel + 1).fill(0);
+  view.triangle.forEach((row, n) => row.forEach((value, k) => {
+    counts[Math.min(getKummerAddition(k, n - k, p).carryCount, maxLevel)]++;
+  }));
+  
+  const legend = counts.map((count, v) => `
+    <li class="residue-legend-item">
+      <span class="residue-swatch" style="background: var(--valuation-${v})"></span>
+      ${t('valuation.legendItem', { level: v === maxLevel ? `v ≥ ${v}` : `v = ${v}`, count })}
+    </li>
+  `).join('');
+  
+  const formula = katex.renderToString(
+    `v_{${p}}\\left(${binomLatex('n', 'k')}\\right) = ${t('valuation.formulaText', { p })}`,
+    { throwOnError: false, displayMode: true }
+  );
+  el.patternInfoPanel.innerHTML = `
+    <div class="pattern-header valuation-pattern">
+      <h3>${t('valuation.title', { p })}</h3>
+    </div>
+    <div class="pattern-content">
+      <p class="pattern-description">${t('valuation.description', { p })}</p>
+      <div class="pattern-formula">${formula}</div>
+      <ul class="residue-legend">${legend}</ul>
+    </div>
+  `;
 }
 
 /**
@@ -1247,14 +6159,52 @@ function updatePatternInfoPanel(pattern) {
  * 功能：根据当前状态更新各个切换按钮的文字内容
  */
 function updateToggleButtons() {
-  el.toggleLinesBtn.textContent = state.showLines ? '隐藏连接线' : '显示连接线';
-  el.toggleNotationBtn.textContent = state.useCombination ? '用数字表示' : '用组合数表示';
-  el.toggleCoeffBtn.textContent = state.useNumericCoeff ? '系数用组合数' : '系数用数字';
+  // 切换按钮向辅助技术报告按下状态
+  [
+    [el.toggleLinesBtn, state.showLines],
+    [el.toggleNotationBtn, state.useCombination],
+    [el.toggleCoeffBtn, state.useNumericCoeff],
+    [el.toggleNegativeBtn, state.showNegativeRows],
+    [el.toggleGaltonBtn, state.showGalton],
+    [el.togglePyramidBtn, state.multinomial],
+    [el.toggleSymmetryBtn, state.showSymmetryLine],
+    [el.toggleSierpinskiBtn, state.showSierpinski],
+    [el.toggleRowSumsBtn, state.showRowSums],
+    [el.togglePrimesBtn, state.showPrimes],
+    [el.toggleValuationBtn, state.showValuation],
+    [el.toggleLucasBtn, state.showLucas]
+  ].forEach(([button, pressed]) => {
+    if (button) button.setAttribute('aria-pressed', String(pressed));
+  });
+  el.toggleLinesBtn.textContent = t(state.showLines ? 'buttons.hideLines' : 'buttons.showLines');
+  el.toggleNotationBtn.textContent = t(state.useCombination ? 'buttons.useNumbers' : 'buttons.useNotation');
+  el.toggleCoeffBtn.textContent = t(state.useNumericCoeff ? 'buttons.coeffNotation' : 'buttons.coeffNumbers');
+  el.toggleNegativeBtn.textContent = t(state.showNegativeRows ? 'buttons.hideNegative' : 'buttons.showNegative');
+  el.toggleGaltonBtn.textContent = t(state.showGalton ? 'buttons.hideGalton' : 'buttons.showGalton');
+  el.galtonStartBtn.textContent = t(galton.running ? 'buttons.pause' : (galton.landed > 0 && galton.landed < state.galtonBalls ? 'buttons.resume' : 'buttons.start'));
+  el.togglePyramidBtn.textContent = t(state.multinomial ? 'buttons.exitPyramid' : 'buttons.pyramid');
+  el.togglePyramidBtn.classList.toggle('active', state.multinomial);
+  el.pyramidPrevBtn.disabled = !state.multinomial;
+  el.pyramidNextBtn.disabled = !state.multinomial;
   if (el.toggleRowSumsBtn) {
-    el.toggleRowSumsBtn.textContent = state.showRowSums ? '隐藏行总和' : '显示行总和';
+    el.toggleRowSumsBtn.textContent = t(state.showRowSums ? 'buttons.hideRowSums' : 'buttons.showRowSums');
   }
   if (el.togglePrimesBtn) {
-    el.togglePrimesBtn.textContent = state.showPrimes ? '隐藏素数高亮' : '显示素数高亮';
+    el.togglePrimesBtn.textContent = t(state.showPrimes ? 'buttons.hidePrimes' : 'buttons.showPrimes');
+  }
+  if (el.toggleValuationBtn) {
+    el.toggleValuationBtn.textContent = t(state.showValuation ? 'buttons.hideValuation' : 'buttons.showValuation');
+  }
+  if (el.toggleLucasBtn) {
+    el.toggleLucasBtn.textContent = t(state.showLucas ? 'buttons.hideLucas' : 'buttons.showLucas');
+  }
+  if (el.toggleSymmetryBtn) {
+    el.toggleSymmetryBtn.innerHTML = '<i class="fas fa-vertical-align-center"></i> ' +
+      t(state.showSymmetryLine ? 'buttons.hideSymmetry' : 'buttons.showSymmetry');
+  }
+  if (el.toggleSierpinskiBtn) {
+    el.toggleSierpinskiBtn.innerHTML = '<i class="fas fa-caret-down"></i> ' +
+      t(state.showSierpinski ? 'buttons.hideSierpinski' : 'buttons.showSierpinski');
   }
 }
 
@@ -1267,15 +6217,30 @@ function updatePatternButtons() {
   
   // 更新按钮样式
   el.fibonacciBtn.classList.toggle('active', state.currentPattern === 'fibonacci');
-  el.naturalBtn.classList.toggle('active', state.currentPattern === 'natural');
-  el.triangularBtn.classList.toggle('active', state.currentPattern === 'triangular');
-  el.tetrahedralBtn.classList.toggle('active', state.currentPattern === 'tetrahedral');
+  el.naturalBtn.classList.toggle('active', isDiagonalPresetActive(1));
+  el.triangularBtn.classList.toggle('active', isDiagonalPresetActive(2));
+  el.tetrahedralBtn.classList.toggle('active', isDiagonalPresetActive(3));
+  el.diagonalBtn.classList.toggle('active', state.currentPattern === 'diagonal');
+  el.hockeyStickBtn.classList.toggle('active', state.currentPattern === 'hockeyStick');
+  el.squareBtn.classList.toggle('active', state.currentPattern === 'square');
+  el.rowMaxBtn.classList.toggle('active', state.currentPattern === 'rowMax');
+  el.powerBtn.classList.toggle('active', state.currentPattern === 'power');
+  el.pathsBtn.classList.toggle('active', state.currentPattern === 'paths');
+  [el.fibonacciBtn, el.naturalBtn, el.triangularBtn, el.tetrahedralBtn, el.diagonalBtn, el.hockeyStickBtn,
+   el.squareBtn, el.rowMaxBtn, el.powerBtn, el.pathsBtn].forEach(button => {
+    button.setAttribute('aria-pressed', String(button.classList.contains('active')));
+  });
   
   // 更新按钮文字
-  el.fibonacciBtn.textContent = state.currentPattern === 'fibonacci' ? '隐藏斐波那契数列' : '显示斐波那契数列';
-  el.naturalBtn.textContent = state.currentPattern === 'natural' ? '隐藏自然数' : '显示自然数';
-  el.triangularBtn.textContent = state.currentPattern === 'triangular' ? '隐藏三角数' : '显示三角数';
-  el.tetrahedralBtn.textContent = state.currentPattern === 'tetrahedral' ? '隐藏四面体数' : '显示四面体数';
+  el.fibonacciBtn.textContent = t(state.currentPattern === 'fibonacci' ? 'buttons.hideFibonacci' : 'buttons.showFibonacci');
+  el.naturalBtn.textContent = t(isDiagonalPresetActive(1) ? 'buttons.hideNatural' : 'buttons.showNatural');
+  el.triangularBtn.textContent = t(isDiagonalPresetActive(2) ? 'buttons.hideTriangular' : 'buttons.showTriangular');
+  el.tetrahedralBtn.textContent = t(isDiagonalPresetActive(3) ? 'buttons.hideTetrahedral' : 'buttons.showTetrahedral');
+  el.hockeyStickBtn.textContent = t(state.currentPattern === 'hockeyStick' ? 'buttons.exitHockeyStick' : 'buttons.hockeyStick');
+  el.squareBtn.textContent = t(state.currentPattern === 'square' ? 'buttons.hideSquare' : 'buttons.showSquare');
+  el.rowMaxBtn.textContent = t(state.currentPattern === 'rowMax' ? 'buttons.hideRowMax' : 'buttons.showRowMax');
+  el.powerBtn.textContent = t(state.currentPattern === 'power' ? 'buttons.hidePower' : 'buttons.showPower');
+  el.pathsBtn.textContent = t(state.currentPattern === 'paths' ? 'buttons.exitPaths' : 'buttons.paths');
 }
 
 /**
@@ -0,0 +1,802 @@
+/*
+ * locales.js - 界面文字词典
+ * 每种界面语言一份词典，键的结构相同；app.js 中的 t(key, params) 按以点分隔的路径取词条，
+ * 词条中的 {name} 由参数替换，也可以是接收参数对象的函数（用于LaTeX记号等需要拼接的内容）。
+ * 新增词条时两份词典都要补充，英文词典缺少的词条会显示中文。
+ */
+
+// 界面语言词典（键为 state.locale 的取值）
+const LOCALES = {
+  'zh-CN': {
+    // 记号约定：组合数写作 C_n^k
+    notation: {
+      binomial: ({ n, k }) => `C_{${n}}^{${k}}`
+    },
+    // 页面中的静态文字（index.html 中带 data-i18n 系列属性的元素）
+    page: {
+      title: '杨辉三角可视化工具',
+      language: '界面语言',
+      gridLabel: '杨辉三角',
+      expansion: '二项式展开',
+      termATitle: '第一项，如 2x、x^2、1/2',
+      termBTitle: '第二项，如 -3y',
+      distribution: '二项分布与正态近似',
+      galton: '高尔顿板',
+      speed: '速度',
+      ballCount: '小球数',
+      rightProbability: '向右概率 p',
+      seed: '种子',
+      series: '广义二项式级数',
+      alphaTitle: '有理数，如 -1/2、1/3、2.5',
+      listSeparator: '，',
+      termCount: '项数',
+      lucas: '卢卡斯定理',
+      lucasHint: '点击上方的数字查看卢卡斯定理分解',
+      patternInfo: '数学规律信息',
+      patternInfoHint: '点击上方数学规律按钮，查看杨辉三角中隐藏的数学奥秘。',
+      controls: '控制面板',
+      buildSpeed: '速度：',
+      buildRowBefore: '构造到第',
+      buildRowAfter: '行',
+      triangleType: '三角形类型：',
+      patterns: '数学规律展示',
+      diagonalK: '斜列 k：',
+      leftDiagonal: '左斜列',
+      rightDiagonal: '右斜列',
+      powerBase: '进制：',
+      modulus: '余数着色模数 m：',
+      valuationPrime: '赋值素数 p：',
+      lucasPrime: '卢卡斯素数 p：',
+      rows: '行数：',
+      presets: '视图预设：',
+      presetName: '预设名称',
+      scale: '倍数：',
+      latexArray: 'LaTeX 数组',
+      info: '信息面板',
+      instructions: '使用说明',
+      help: {
+        click: '点击格子查看该项的二项式展开与组合数公式。',
+        notation: '切换“用组合数表示”可将格子以 LaTeX 的表达式形式显示。',
+        lines: '显示连接线可观察每个元素如何由上层两个元素相加得到。',
+        keyboard: '键盘操作：Tab 进入三角形，← / → 移到同一行的前一项 / 后一项，↑ / ↓ 移到上一行 / 下一行的同一列，Home / End 移到行首 / 行尾，Enter 或空格查看该项。'
+      },
+      about: '杨辉三角',
+      aboutItems: [
+        '杨辉三角是一个由数字构成的三角形阵列',
+        '其最核心的规律是每个数等于其上方左右两数之和。',
+        '这个看似简单的结构却蕴含着丰富的数学奥秘：',
+        '杨辉三角的每一行都对应着二项式展开的系数，这一发现使得二项式展开成为了组合数学的基础。',
+        '它的每一行都完美对称，对应着二项式展开的系数，同时也直观展示了组合数学中的基本性质。',
+        '从概率统计到代数，杨辉三角都是一个强大而优美的数学模型。'
+      ]
+    },
+    // 按钮文字（切换按钮分为显示/隐藏两种状态）
+    buttons: {
+      addRow: '添加一行',
+      removeRow: '减少一行',
+      construct: '逐步构造',
+      stepBack: '上一步',
+      stepForward: '下一步',
+      finish: '完成',
+      start: '开始',
+      pause: '暂停',
+      resume: '继续',
+      reset: '重置',
+      apply: '应用',
+      applyRule: '应用规则',
+      expand: '展开',
+      load: '载入',
+      delete: '删除',
+      savePreset: '保存当前视图',
+      exportSvg: '导出SVG',
+      exportPng: '导出PNG',
+      exportData: '导出数据',
+      copyLatex: '复制 LaTeX',
+      copied: '已复制',
+      copyFailed: '复制失败',
+      previousLayer: '上一层',
+      nextLayer: '下一层',
+      clearPattern: '清除规律',
+      showDiagonal: '显示斜列',
+      showLines: '显示连接线',
+      hideLines: '隐藏连接线',
+      useNotation: '用组合数表示',
+      useNumbers: '用数字表示',
+      coeffNumbers: '系数用数字',
+      coeffNotation: '系数用组合数',
+      showNegative: '显示负数行',
+      hideNegative: '隐藏负数行',
+      negativeUnavailable: '负数行只能在不超过 {rows} 行时显示',
+      showGalton: '高尔顿板',
+      hideGalton: '隐藏高尔顿板',
+      pyramid: '三项式模式（杨辉金字塔）',
+      exitPyramid: '退出三项式模式',
+      showRowSums: '显示行总和',
+      hideRowSums: '隐藏行总和',
+      showPrimes: '显示素数高亮',
+      hidePrimes: '隐藏素数高亮',
+      showValuation: '显示p进赋值热力图',
+      hideValuation: '隐藏p进赋值热力图',
+      showLucas: '显示卢卡斯定理',
+      hideLucas: '隐藏卢卡斯定理',
+      showSymmetry: '显示竖直对称线',
+      hideSymmetry: '隐藏竖直对称线',
+      showSierpinski: '显示谢尔宾斯三角',
+      hideSierpinski: '隐藏谢尔宾斯三角',
+      showFibonacci: '显示斐波那契数列',
+      hideFibonacci: '隐藏斐波那契数列',
+      showNatural: '显示自然数',
+      hideNatural: '隐藏自然数',
+      showTriangular: '显示三角数',
+      hideTriangular: '隐藏三角数',
+      showTetrahedral: '显示四面体数',
+      hideTetrahedral: '隐藏四面体数',
+      hockeyStick: '曲棍球棒恒等式',
+      exitHockeyStick: '退出曲棍球棒',
+      showSquare: '显示方形结构',
+      hideSquare: '隐藏方形结构',
+      showRowMax: '显示最大数规律',
+      hideRowMax: '隐藏最大数规律',
+      showPower: '显示乘方规律',
+      hidePower: '隐藏乘方规律',
+      paths: '格路计数',
+      exitPaths: '退出格路计数'
+    },
+    // 三角形中的行标签与格子的朗读文字
+    grid: {
+      rowLabel: '第 {n} 行',
+      layerLabel: '第 {layer} 层',
+      cell: '第 {n} 行，第 {k} 个，{notation} = {value}'
+    },
+    // 激活功能或未选择格子时信息面板的提示
+    info: {
+      clickCell: '点击杨辉三角中的元素查看详细信息',
+      sierpinski: '每个格子按 C(n,k) 除以 {m} 的余数着色，余数为0的格子显示为灰色。',
+      rowSums: '杨辉三角中第n行所有数字的和等于2的n次方。例如：第3行的和是8，即2^3。',
+      pyramidRowSums: '杨辉金字塔第 {layer} 层中，第i行所有数字的和等于 C({layer},i)·2^i。',
+      primes: '素数是指大于1的自然数，且只能被1和它本身整除的数。',
+      valuation: '点击格子查看 k 与 n-k 的 {p} 进制加法及进位次数。'
+    },
+    // 点击格子后的信息面板
+    cellInfo: {
+      selected: '当前选择：',
+      position: '第 {n} 行, 第 {k} 个元素',
+      typeLabel: '{name}：',
+      digits: '共 {count} 位数字',
+      edgeValue: '这是边界值。',
+      pyramidPosition: '第 {layer} 层, 第 {i} 行, 第 {j} 个元素',
+      pyramidParents: '每个数等于上一层中三个父项之和：'
+    },
+    expansion: {
+      placeholder: '点击上方的数字查看公式',
+      zeroFirstTerm: '（首项为0时无法展开负指数）'
+    },
+    // 数字三角形类型的名称、说明与行和说明
+    types: {
+      pascal: {
+        name: '杨辉三角（二项式系数）',
+        description: '每个数等于上方两数之和，第n行是 (a+b)^n 的展开系数。',
+        rowSum: '第n行所有数字的和等于2的n次方。'
+      },
+      catalan: {
+        name: '卡塔兰三角',
+        description: '每个数等于左边的数加上上方的数，对角线上的数等于左边的数；每行最后一个数是卡塔兰数。',
+        rowSum: '第n行的和等于第 n+1 个卡塔兰数。'
+      },
+      stirling1: {
+        name: '第一类斯特林数',
+        description: '无符号第一类斯特林数：把n个元素排成k个轮换的方法数。',
+        rowSum: '第n行的和等于 n!（所有排列按轮换数分类）。'
+      },
+      stirling2: {
+        name: '第二类斯特林数',
+        description: '把n个元素划分为k个非空子集的方法数。',
+        rowSum: '第n行的和等于贝尔数 B_n（n个元素的所有划分数）。'
+      },
+      eulerian: {
+        name: '欧拉数',
+        description: '1到n的排列中恰有k个升位（前一个数小于后一个数）的排列个数。',
+        rowSum: '第n行的和等于 n!（所有排列按升位个数分类）。'
+      },
+      narayana: {
+        name: '纳拉亚纳数',
+        description: '第n行（从0开始）第k个数为 N(n+1,k+1)：n+1对括号组成恰有k+1个"()"峰的合法括号序列数。同一行中每个数由左边的数乘以一个比值得到。',
+        rowSum: '第n行的和等于第 n+1 个卡塔兰数。'
+      },
+      leibniz: {
+        name: '莱布尼茨调和三角',
+        description: '边上是单位分数 1/(n+1)，每个数等于它下方两数之和，也等于左上方的数减去左边的数。',
+        rowSum: '行和没有简单的闭式；每个数等于下方相邻两数之和，第0列之和 1/1+1/2+1/3+… 发散。'
+      },
+      bell: {
+        name: '贝尔三角',
+        description: '每行第一个数等于上一行最后一个数，其余每个数等于左边的数加上左上方的数；第一列是贝尔数。',
+        rowSum: '行和没有简单的闭式；每行第一个数是贝尔数 B_n，最后一个数是 B_{n+1}。'
+      },
+      trinomial: {
+        name: '三项式三角',
+        description: '第n行是 (1+x+x²)^n 的展开系数，每个数等于上方三个数之和。',
+        rowSum: '第n行的和等于3的n次方（令 x=1）。'
+      },
+      custom: {
+        name: '自定义递推',
+        description: '按规则 T(n,k) = {rule} 生成，左边界 T(n,0) = {left}，右边界 T(n,n) = {right}。',
+        rowSum: '自定义规则没有预设的行和公式，右侧标注的是直接计算的行和。'
+      }
+    },
+    // 自定义递推规则的错误信息
+    rule: {
+      error: '规则有误：{message}',
+      at: '第 {pos} 个字符处：{message}',
+      unknownChar: '第 {pos} 个字符 "{ch}" 无法识别（只能使用数字、n、k、T 和 + - * / ^ ( )）',
+      missing: '缺少 "{value}"',
+      exponentConstant: '指数必须是整数常量',
+      exponentMax: '指数不能超过 {max}',
+      edgeParent: '边界值中不能引用 T',
+      parentArgs: 'T 的参数只能是 (n-1,k-1) 或 (n-1,k)',
+      incomplete: '表达式不完整',
+      unexpected: '不应出现 "{value}"',
+      divideByZero: '计算 T({n},{k}) 时除数为0',
+      notDivisible: '计算 T({n},{k}) 时 {left}/{right} 不能整除',
+      tooLarge: '计算 T({n},{k}) 时数值超过 {bits} 位二进制，规则增长过快'
+    },
+    // 斜列k对应的图形数（未列出的k使用 simplex）
+    diagonalSequences: {
+      0: { name: '常数列', description: '第0条斜列全部为1，对应0维单纯形（一个点）。' },
+      1: { name: '自然数', description: '自然数就是没有负数的整数，也是排列在一条线段（1维单纯形）上的点数。' },
+      2: { name: '三角数', description: '三角数表示可以排列成三角形的点的数量，在几何和组合数学中有重要应用。' },
+      3: { name: '四面体数', description: '四面体数表示可以排列成四面体的点的数量，是三维空间中的三角数。' },
+      4: { name: '五胞体数', description: '五胞体数（pentatope numbers）表示可以排列成五胞体（4维单纯形）的点的数量。' },
+      simplex: {
+        name: '{k}-单纯形数',
+        description: '{k}-单纯形数表示可以排列成 {k} 维单纯形的点的数量，是三角数、四面体数在高维空间中的推广。'
+      }
+    },
+    // 数学规律信息面板
+    patterns: {
+      recurrence: '递推公式：',
+      closedForm: '通项公式：',
+      example: '示例：',
+      fibonacci: {
+        title: '斐波那契数列',
+        description: '斐波那契数列是指这样一个数列：0，1，1，2，3，5，8，13，21，34，55，89……这个数列从第3项开始 ，每一项都等于前两项之和。'
+      },
+      diagonal: {
+        title: '{name}（第 {k} 条{side}斜列）',
+        description: '杨辉三角的第 {k} 条{side}斜列的数字构成了{name}序列。',
+        sides: { left: '左', right: '右' }
+      },
+      square: {
+        title: '方形结构',
+        description: '杨辉三角第2列（k=2）中相邻的两个三角数之和恰好是一个平方数：把 n×n 的点阵沿对角线分开，一边是第 n 个三角数，另一边是第 n-1 个三角数。',
+        info: '相邻两个三角数之和是平方数：C(n,2) + C(n+1,2) = n²。右侧的点阵中，对角线及其下方是较大的三角数，上方是较小的三角数。'
+      },
+      rowMax: {
+        title: '最大数规律',
+        description: '每一行的数先增大后减小（单峰性），并关于中间对称：偶数行的最大数是正中间的一个，奇数行的最大数是中间相等的两个。',
+        info: '相邻两项之比 C(n,k+1) / C(n,k) = (n-k) / (k+1)，当 k < (n-1)/2 时大于1，之后小于1，所以最大数出现在行的中间。'
+      },
+      power: {
+        title: '11的乘方',
+        titleBase: '{b}进制下的乘方（{power}的乘方）',
+        description: '把第 n 行的数依次当作 {b} 进制的各位数字读出，得到 {power} 的 n 次方（在 {b} 进制下写作 11）。系数小于 {b} 时可以直接拼接；系数不小于 {b} 时（红色格子）需要从右往左进位。',
+        info: '点击任意格子，逐步查看该行的进位过程。'
+      },
+      paths: {
+        title: '格路计数',
+        description: '从顶点出发，每一步走到下一行左下方或右下方的相邻格子。到达第 n 行第 k 个格子需要走 n 步，其中恰好 k 步向右，所以路径数是 C(n,k)。到达一个格子的路径必然来自它的两个父格子，这正是加法规则的组合意义。',
+        countLatex: '\\#\\{\\text{从顶点到 }(n,k)\\text{ 的路径}\\}',
+        example: '到 (2,1)：↙↘, ↘↙；到 (3,1)：↙↙↘, ↙↘↙, ↘↙↙',
+        info: '点击任意格子，枚举从顶点到它的所有路径。连线上的数字是沿这条边流入的路径数，两条边流入之和就是格子里的数。'
+      },
+      prime: {
+        title: '素数',
+        formula: 'p_{n} = \\text{第}n\\text{个素数}'
+      }
+    },
+    hockeyStick: {
+      title: '曲棍球棒恒等式',
+      description: '从三角形边上的1出发，沿斜列向下连续相加，所得的和恰好等于最后一项斜下方（拐向另一侧）的数，形状像一根曲棍球棒。',
+      hint: '在三角形的边上按下鼠标，沿斜列向下拖动到任意格子。',
+      selection: '当前选择（r = {r}，n = {n}）：',
+      bladeHidden: '棒头位于下一行，增加行数即可看到。'
+    },
+    rowMax: {
+      unimodalTitle: '单峰性：',
+      unimodal: '每行的数从两端向中间递增，过了中间后按对称的方式递减。',
+      stirlingTitle: '中心二项式系数与斯特林估计：',
+      tooFewRows: '至少需要3行才能比较中心二项式系数。',
+      ratio: '比值',
+      growthTitle: '相邻两行最大数之比 M(n+1) / M(n)：',
+      growth: '奇数行到下一行的比值恒为 2，偶数行到下一行的比值 (2m+1)/(m+1) 逐渐趋近 2，所以最大数大约每两行增长为原来的 4 倍。'
+    },
+    power: {
+      stepsTitle: '第 {n} 行的进位过程（{base} 进制，从右往左）：',
+      columns: {
+        coefficient: '系数',
+        value: '值',
+        carryIn: '进位',
+        total: '合计',
+        digit: '写下',
+        carryOut: '向前进位',
+        partial: '当前结果'
+      },
+      mismatch: '进位结果与乘方不一致。',
+      digitCount: '{power} = {count} 位',
+      digitCountBase: '{power} = {count} 位（{base} 进制）'
+    },
+    paths: {
+      hint: '点击任意格子作为终点。',
+      apex: '（顶点本身）',
+      count: '从顶点到第 {n} 行第 {k} 个格子的路径共 {count} 条：',
+      previousPage: '上一页',
+      previous: '上一条',
+      page: '第 {page} / {count} 页',
+      next: '下一条',
+      nextPage: '下一页'
+    },
+    rowSums: {
+      title: '行总和',
+      typeTitle: '行总和（{name}）',
+      pyramidTitle: '行总和（杨辉金字塔第 {layer} 层）',
+      pyramid: '第 i 行第 j 个数等于 C({layer},i)·C(i,j)，所以第 i 行的和等于 C({layer},i)·2^i；整层所有数之和等于 3^{layer}。',
+      example: '例如：第0行和为1=2^0，第1行和为2=2^1，第2行和为4=2^2，第3行和为8=2^3...'
+    },
+    residue: {
+      title: '模 {m} 余数着色',
+      description: '按组合数除以 {m} 的余数为每个格子着色，模 2 时即为谢尔宾斯三角。',
+      legendItem: '余数 {r}：{count} 个',
+      prime: '{m} 是素数：由卢卡斯定理，三角形按 {m}、{m}²、{m}³… 行划分为自相似的块，非零格子组成分形图案。',
+      primePower: '{m} 是素数 {p} 的幂：分形结构与模 {p} 相似，但块内余数分布更丰富。',
+      composite: '{m} 是合数：着色图案是其各素因子对应图案的叠加（中国剩余定理）。'
+    },
+    valuation: {
+      title: '{p} 进赋值热力图',
+      description: '颜色越深，{p} 整除该组合数的次数（{p} 进赋值）越高。由库默尔定理，这个次数等于在 {p} 进制下计算 k + (n-k) 时产生的进位次数。',
+      formulaText: '\\text{{p} 进制下 } k + (n-k) \\text{ 的进位次数}',
+      legendItem: '{level}：{count} 个'
+    },
+    kummer: {
+      title: '{p} 进制加法（库默尔定理）：',
+      carryRow: '进位',
+      carries: '共 {count} 次进位，所以 {formula}。',
+      check: '直接验证：C({n},{k}) 恰好含有 {exponent} 个因子 {p}。'
+    },
+    lucas: {
+      notPrime: '{value} 不是素数，卢卡斯定理要求模数为素数。',
+      tooLarge: '素数 p 不能超过 {max}（输入的是 {value}）。',
+      divisible: '存在某一位 k 的数字大于 n 的数字，对应的小组合数为 0，所以 {p} 整除 C({n},{k})。',
+      notDivisible: '每一位都满足 k 的数字不超过 n 的数字，所以 {p} 不整除 C({n},{k})。',
+      check: '直接计算：C({n},{k}) mod {p} = {residue}',
+      block: '高亮的格子与所选格子位于同一个 {size} 行的子三角形块中：该块是顶部 {size} 行三角形的副本，每个数模 {p} 都等于顶部对应的数乘以 C({row},{col}) mod {p} = {factor}。',
+      invertedBlock: '所选格子位于两个 {size} 行子三角形块之间的倒三角中（k mod {size} > n mod {size}）：p 进制下 k 至少有一位大于 n 的对应位，所以高亮区域中的每个数都能被 {p} 整除。'
+    },
+    series: {
+      polynomial: 'α = {alpha} 是非负整数，级数在第 {terms} 项后全为0，就是普通的二项式展开，对任意 x 成立。',
+      infinite: 'α 不是非负整数，级数有无穷多项，收敛半径为 1：当 |x| < 1 时收敛到 (1+x)^α，|x| > 1 时发散；x = 1 时{atOne}（需要 α > -1），x = -1 时{atMinusOne}（需要 α ≥ 0）。',
+      converges: '收敛',
+      diverges: '发散',
+      noRealValue: '无实数值（1+x 为负且 α 不是整数）',
+      trueValue: 'x = {x} 时的真实值 (1+x)^α = {value}',
+      termsHeader: '项数 N',
+      partialSumHeader: '部分和',
+      errorHeader: '误差'
+    },
+    distribution: {
+      degenerate: '方差为0，分布集中在一点，无法用正态曲线近似。',
+      maxError: '正态近似 N(μ, σ²) 与二项分布的最大绝对误差：max |P(X=k) − φ(k)| = {error}'
+    },
+    galton: {
+      status: '第 {n} 行：已放出 {dropped} / {total} 个球，已落入箱子 {landed} 个。',
+      legend: '橙色柱为实际频率，蓝线为精确概率 C({n},k)·p<sup>k</sup>(1-p)<sup>{n}-k</sup>（p = {p}{half}）。最大偏差：{error}',
+      half: '，即 C({n},k)/2<sup>{n}</sup>'
+    },
+    construction: {
+      label: '逐步构造：',
+      step: '第 {index} / {count} 步，第 {n} 行, 第 {k} 个元素',
+      start: '从第 0 行开始',
+      unsupported: '逐步构造只适用于平面数字三角形，且行数不超过 {rows}。'
+    },
+    presets: {
+      empty: '（暂无预设）'
+    },
+    export: {
+      pngFailed: 'PNG 导出失败：浏览器无法加载生成的SVG。',
+      pyramidLayer: '杨辉金字塔第 {layer} 层',
+      header: '{name}，共 {rows} 行',
+      tikzHeader: '{name}，共 {rows} 行；需要'
+    }
+  },
+
+  en: {
+    // Notation convention: binomial coefficients are written \binom{n}{k}
+    notation: {
+      binomial: ({ n, k }) => `\\binom{${n}}{${k}}`
+    },
+    page: {
+      title: 'Pascal\'s Triangle Visualizer',
+      language: 'Language',
+      gridLabel: 'Pascal\'s triangle',
+      expansion: 'Binomial expansion',
+      termATitle: 'First term, e.g. 2x, x^2, 1/2',
+      termBTitle: 'Second term, e.g. -3y',
+      distribution: 'Binomial distribution and normal approximation',
+      galton: 'Galton board',
+      speed: 'Speed',
+      ballCount: 'Balls',
+      rightProbability: 'Probability right p',
+      seed: 'Seed',
+      series: 'Generalized binomial series',
+      alphaTitle: 'A rational number, e.g. -1/2, 1/3, 2.5',
+      listSeparator: ', ',
+      termCount: 'Terms',
+      lucas: 'Lucas\'s theorem',
+      lucasHint: 'Click a number above to see its Lucas\'s theorem decomposition',
+      patternInfo: 'Pattern information',
+      patternInfoHint: 'Click a pattern button above to explore the mathematics hidden in Pascal\'s triangle.',
+      controls: 'Controls',
+      buildSpeed: 'Speed:',
+      buildRowBefore: 'Build up to row',
+      buildRowAfter: '',
+      triangleType: 'Triangle type:',
+      patterns: 'Patterns',
+      diagonalK: 'Diagonal k:',
+      leftDiagonal: 'Left diagonal',
+      rightDiagonal: 'Right diagonal',
+      powerBase: 'Base:',
+      modulus: 'Residue modulus m:',
+      valuationPrime: 'Valuation prime p:',
+      lucasPrime: 'Lucas prime p:',
+      rows: 'Rows:',
+      presets: 'View presets:',
+      presetName: 'Preset name',
+      scale: 'Scale:',
+      latexArray: 'LaTeX array',
+      info: 'Information',
+      instructions: 'How to use',
+      help: {
+        click: 'Click a cell to see its binomial expansion and binomial coefficient formula.',
+        notation: 'Toggle "Show as binomials" to display each cell as a LaTeX expression.',
+        lines: 'Show the connecting lines to see how each entry is the sum of the two entries above it.',
+        keyboard: 'Keyboard: Tab moves into the triangle, ← / → go to the previous / next entry in the row, ↑ / ↓ go to the same column in the row above / below, Home / End go to the start / end of the row, Enter or Space shows the entry.'
+      },
+      about: 'Pascal\'s triangle',
+      aboutItems: [
+        'Pascal\'s triangle is a triangular array of numbers.',
+        'Its central rule is that every number is the sum of the two numbers directly above it.',
+        'This simple-looking structure holds a wealth of mathematics:',
+        'Each row lists the coefficients of a binomial expansion, which makes the binomial theorem a cornerstone of combinatorics.',
+        'Every row is perfectly symmetric, mirroring the binomial coefficients and illustrating the basic properties of combinatorics.',
+        'From probability and statistics to algebra, Pascal\'s triangle is a powerful and elegant mathematical model.'
+      ]
+    },
+    buttons: {
+      addRow: 'Add row',
+      removeRow: 'Remove row',
+      construct: 'Build step by step',
+      stepBack: 'Back',
+      stepForward: 'Next',
+      finish: 'Finish',
+      start: 'Start',
+      pause: 'Pause',
+      resume: 'Resume',
+      reset: 'Reset',
+      apply: 'Apply',
+      applyRule: 'Apply rule',
+      expand: 'Expand',
+      load: 'Load',
+      delete: 'Delete',
+      savePreset: 'Save current view',
+      exportSvg: 'Export SVG',
+      exportPng: 'Export PNG',
+      exportData: 'Export data',
+      copyLatex: 'Copy LaTeX',
+      copied: 'Copied',
+      copyFailed: 'Copy failed',
+      previousLayer: 'Previous layer',
+      nextLayer: 'Next layer',
+      clearPattern: 'Clear pattern',
+      showDiagonal: 'Show diagonal',
+      showLines: 'Show lines',
+      hideLines: 'Hide lines',
+      useNotation: 'Show as binomials',
+      useNumbers: 'Show as numbers',
+      coeffNumbers: 'Numeric coefficients',
+      coeffNotation: 'Binomial coefficients',
+      showNegative: 'Show negative rows',
+      hideNegative: 'Hide negative rows',
+      negativeUnavailable: 'Negative rows can only be shown with at most {rows} rows',
+      showGalton: 'Galton board',
+      hideGalton: 'Hide Galton board',
+      pyramid: 'Trinomial mode (Pascal\'s pyramid)',
+      exitPyramid: 'Exit trinomial mode',
+      showRowSums: 'Show row sums',
+      hideRowSums: 'Hide row sums',
+      showPrimes: 'Highlight primes',
+      hidePrimes: 'Hide prime highlights',
+      showValuation: 'Show p-adic valuation heat map',
+      hideValuation: 'Hide p-adic valuation heat map',
+      showLucas: 'Show Lucas\'s theorem',
+      hideLucas: 'Hide Lucas\'s theorem',
+      showSymmetry: 'Show axis of symmetry',
+      hideSymmetry: 'Hide axis of symmetry',
+      showSierpinski: 'Show Sierpinski triangle',
+      hideSierpinski: 'Hide Sierpinski triangle',
+      showFibonacci: 'Show Fibonacci numbers',
+      hideFibonacci: 'Hide Fibonacci numbers',
+      showNatural: 'Show natural numbers',
+      hideNatural: 'Hide natural numbers',
+      showTriangular: 'Show triangular numbers',
+      hideTriangular: 'Hide triangular numbers',
+      showTetrahedral: 'Show tetrahedral numbers',
+      hideTetrahedral: 'Hide tetrahedral numbers',
+      hockeyStick: 'Hockey-stick identity',
+      exitHockeyStick: 'Exit hockey stick',
+      showSquare: 'Show square numbers',
+      hideSquare: 'Hide square numbers',
+      showRowMax: 'Show row maxima',
+      hideRowMax: 'Hide row maxima',
+      showPower: 'Show powers of 11',
+      hidePower: 'Hide powers of 11',
+      paths: 'Lattice paths',
+      exitPaths: 'Exit lattice paths'
+    },
+    grid: {
+      rowLabel: 'Row {n}',
+      layerLabel: 'Layer {layer}',
+      cell: 'Row {n}, entry {k}, {notation} = {value}'
+    },
+    info: {
+      clickCell: 'Click an entry of the triangle to see its details',
+      sierpinski: 'Each cell is colored by the remainder of C(n,k) divided by {m}; cells with remainder 0 are gray.',
+      rowSums: 'The numbers in row n of Pascal\'s triangle add up to 2 to the power n. For example, row 3 sums to 8 = 2^3.',
+      pyramidRowSums: 'In layer {layer} of Pascal\'s pyramid, the numbers in row i add up to C({layer},i)·2^i.',
+      primes: 'A prime is a natural number greater than 1 that is divisible only by 1 and itself.',
+      valuation: 'Click a cell to see the base-{p} addition of k and n-k and its carries.'
+    },
+    cellInfo: {
+      selected: 'Selected:',
+      position: 'row {n}, entry {k}',
+      typeLabel: '{name}:',
+      digits: '{count} digits',
+      edgeValue: 'This is a boundary value.',
+      pyramidPosition: 'layer {layer}, row {i}, entry {j}',
+      pyramidParents: 'Each number is the sum of its three parents in the previous layer:'
+    },
+    expansion: {
+      placeholder: 'Click a number above to see its formula',
+      zeroFirstTerm: '(a negative power cannot be expanded when the first term is 0)'
+    },
+    types: {
+      pascal: {
+        name: 'Pascal\'s triangle (binomial coefficients)',
+        description: 'Each number is the sum of the two numbers above it; row n lists the coefficients of (a+b)^n.',
+        rowSum: 'The numbers in row n add up to 2 to the power n.'
+      },
+      catalan: {
+        name: 'Catalan triangle',
+        description: 'Each number is the number to its left plus the number above it; on the diagonal it equals the number to its left. The last number of each row is a Catalan number.',
+        rowSum: 'Row n sums to the (n+1)-th Catalan number.'
+      },
+      stirling1: {
+        name: 'Stirling numbers of the first kind',
+        description: 'Unsigned Stirling numbers of the first kind: the number of ways to arrange n elements into k cycles.',
+        rowSum: 'Row n sums to n! (all permutations, grouped by number of cycles).'
+      },
+      stirling2: {
+        name: 'Stirling numbers of the second kind',
+        description: 'The number of ways to partition n elements into k non-empty subsets.',
+        rowSum: 'Row n sums to the Bell number B_n (the number of all partitions of n elements).'
+      },
+      eulerian: {
+        name: 'Eulerian numbers',
+        description: 'The number of permutations of 1 to n with exactly k ascents (positions where a number is smaller than the next).',
+        rowSum: 'Row n sums to n! (all permutations, grouped by number of ascents).'
+      },
+      narayana: {
+        name: 'Narayana numbers',
+        description: 'Entry k of row n (counting from 0) is N(n+1,k+1): the number of valid sequences of n+1 pairs of parentheses with exactly k+1 "()" peaks. Each number in a row is the number to its left times a ratio.',
+        rowSum: 'Row n sums to the (n+1)-th Catalan number.'
+      },
+      leibniz: {
+        name: 'Leibniz harmonic triangle',
+        description: 'The edges hold the unit fractions 1/(n+1); each number is the sum of the two numbers below it, and also the number above-left minus the number to its left.',
+        rowSum: 'Row sums have no simple closed form; each number is the sum of the two numbers below it, and column 0 sums to 1/1+1/2+1/3+…, which diverges.'
+      },
+      bell: {
+        name: 'Bell triangle',
+        description: 'Each row starts with the last number of the previous row; every other number is the number to its left plus the number above-left. The first column holds the Bell numbers.',
+        rowSum: 'Row sums have no simple closed form; row n starts with the Bell number B_n and ends with B_{n+1}.'
+      },
+      trinomial: {
+        name: 'Trinomial triangle',
+        description: 'Row n lists the coefficients of (1+x+x²)^n; each number is the sum of the three numbers above it.',
+        rowSum: 'Row n sums to 3 to the power n (set x=1).'
+      },
+      custom: {
+        name: 'Custom recurrence',
+        description: 'Generated by T(n,k) = {rule} with left edge T(n,0) = {left} and right edge T(n,n) = {right}.',
+        rowSum: 'A custom rule has no predefined row-sum formula; the labels on the right show the computed row sums.'
+      }
+    },
+    rule: {
+      error: 'Invalid rule: {message}',
+      at: 'At character {pos}: {message}',
+      unknownChar: 'Character {pos} "{ch}" is not recognized (only digits, n, k, T and + - * / ^ ( ) are allowed)',
+      missing: 'Expected "{value}"',
+      exponentConstant: 'The exponent must be an integer constant',
+      exponentMax: 'The exponent cannot exceed {max}',
+      edgeParent: 'Boundary values cannot refer to T',
+      parentArgs: 'The arguments of T must be (n-1,k-1) or (n-1,k)',
+      incomplete: 'The expression is incomplete',
+      unexpected: 'Unexpected "{value}"',
+      divideByZero: 'Division by zero while computing T({n},{k})',
+      notDivisible: '{left}/{right} is not an integer while computing T({n},{k})',
+      tooLarge: 'T({n},{k}) exceeds {bits} binary digits; the rule grows too fast'
+    },
+    diagonalSequences: {
+      0: { name: 'Constant sequence', description: 'Diagonal 0 consists entirely of 1s, matching the 0-dimensional simplex (a single point).' },
+      1: { name: 'Natural numbers', description: 'The natural numbers are the non-negative integers, and also the number of points arranged along a line segment (a 1-dimensional simplex).' },
+      2: { name: 'Triangular numbers', description: 'Triangular numbers count the points that can be arranged in a triangle and play an important role in geometry and combinatorics.' },
+      3: { name: 'Tetrahedral numbers', description: 'Tetrahedral numbers count the points that can be arranged in a tetrahedron; they are the three-dimensional triangular numbers.' },
+      4: { name: 'Pentatope numbers', description: 'Pentatope numbers count the points that can be arranged in a pentatope (a 4-dimensional simplex).' },
+      simplex: {
+        name: '{k}-simplex numbers',
+        description: '{k}-simplex numbers count the points that can be arranged in a {k}-dimensional simplex, generalizing triangular and tetrahedral numbers to higher dimensions.'
+      }
+    },
+    patterns: {
+      recurrence: 'Recurrence:',
+      closedForm: 'Closed form:',
+      example: 'Example:',
+      fibonacci: {
+        title: 'Fibonacci numbers',
+        description: 'The Fibonacci sequence is 0, 1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89…; from the third term on, each term is the sum of the two before it.'
+      },
+      diagonal: {
+        title: '{name} ({side} diagonal {k})',
+        description: 'The numbers on {side} diagonal {k} of Pascal\'s triangle form the sequence of {name}. ',
+        sides: { left: 'left', right: 'right' }
+      },
+      square: {
+        title: 'Square numbers',
+        description: 'In column 2 (k=2) of Pascal\'s triangle, two adjacent triangular numbers add up to a perfect square: cut an n×n grid of dots along its diagonal and one side holds the n-th triangular number, the other the (n-1)-th.',
+        info: 'Two adjacent triangular numbers add up to a square: C(n,2) + C(n+1,2) = n². In the dot grid on the right, the diagonal and below is the larger triangular number, above it the smaller one.'
+      },
+      rowMax: {
+        title: 'Row maxima',
+        description: 'The numbers in each row first increase and then decrease (unimodality), symmetric about the middle: an even row has a single middle maximum, an odd row two equal middle maxima.',
+        info: 'The ratio of adjacent entries C(n,k+1) / C(n,k) = (n-k) / (k+1) is greater than 1 for k < (n-1)/2 and less than 1 afterwards, so the maximum sits in the middle of the row.'
+      },
+      power: {
+        title: 'Powers of 11',
+        titleBase: 'Powers in base {b} (powers of {power})',
+        description: 'Read the numbers of row n as base-{b} digits to get {power} to the power n (written 11 in base {b}). Coefficients smaller than {b} can be concatenated directly; coefficients of {b} or more (red cells) must be carried from right to left.',
+        info: 'Click any cell to step through the carries of its row.'
+      },
+      paths: {
+        title: 'Lattice paths',
+        description: 'Starting at the apex, each step moves to the lower-left or lower-right neighbor in the next row. Reaching entry k of row n takes n steps, exactly k of them to the right, so there are C(n,k) paths. Every path into a cell comes through one of its two parents, which is the combinatorial meaning of the addition rule.',
+        countLatex: '\\#\\{\\text{paths from the apex to }(n,k)\\}',
+        example: 'To (2,1): ↙↘, ↘↙; to (3,1): ↙↙↘, ↙↘↙, ↘↙↙',
+        info: 'Click any cell to list every path from the apex to it. The number on each edge is the number of paths flowing along it; the two incoming edges add up to the number in the cell.'
+      },
+      prime: {
+        title: 'Prime numbers',
+        formula: 'p_{n} = \\text{the } n\\text{-th prime}'
+      }
+    },
+    hockeyStick: {
+      title: 'Hockey-stick identity',
+      description: 'Starting from a 1 on the edge of the triangle and adding down a diagonal, the sum equals the number diagonally below the last term on the other side, in the shape of a hockey stick.',
+      hint: 'Press on the edge of the triangle and drag down along a diagonal to any cell.',
+      selection: 'Current selection (r = {r}, n = {n}):',
+      bladeHidden: 'The blade is in the next row; add a row to see it.'
+    },
+    rowMax: {
+      unimodalTitle: 'Unimodality:',
+      unimodal: 'The numbers in each row increase from both ends toward the middle and decrease symmetrically after it.',
+      stirlingTitle: 'Central binomial coefficients and Stirling\'s estimate:',
+      tooFewRows: 'At least 3 rows are needed to compare central binomial coefficients.',
+      ratio: 'Ratio',
+      growthTitle: 'Ratio of consecutive row maxima M(n+1) / M(n):',
+      growth: 'From an odd row to the next the ratio is always 2; from an even row it is (2m+1)/(m+1), which approaches 2, so the maximum roughly quadruples every two rows.'
+    },
+    power: {
+      stepsTitle: 'Carrying row {n} (base {base}, right to left):',
+      columns: {
+        coefficient: 'Coefficient',
+        value: 'Value',
+        carryIn: 'Carry in',
+        total: 'Total',
+        digit: 'Write',
+        carryOut: 'Carry out',
+        partial: 'Result so far'
+      },
+      mismatch: 'The carried result does not match the power.',
+      digitCount: '{power} = {count} digits',
+      digitCountBase: '{power} = {count} digits (base {base})'
+    },
+    paths: {
+      hint: 'Click any cell to choose the end point.',
+      apex: '(the apex itself)',
+      count: 'There are {count} paths from the apex to entry {k} of row {n}:',
+      previousPage: 'Previous page',
+      previous: 'Previous',
+      page: 'Page {page} / {count}',
+      next: 'Next',
+      nextPage: 'Next page'
+    },
+    rowSums: {
+      title: 'Row sums',
+      typeTitle: 'Row sums ({name})',
+      pyramidTitle: 'Row sums (layer {layer} of Pascal\'s pyramid)',
+      pyramid: 'Entry j of row i is C({layer},i)·C(i,j), so row i sums to C({layer},i)·2^i and the whole layer sums to 3^{layer}.',
+      example: 'For example: row 0 sums to 1=2^0, row 1 to 2=2^1, row 2 to 4=2^2, row 3 to 8=2^3...'
+    },
+    residue: {
+      title: 'Residues modulo {m}',
+      description: 'Each cell is colored by the remainder of the binomial coefficient divided by {m}; modulo 2 this is the Sierpinski triangle.',
+      legendItem: 'Remainder {r}: {count}',
+      prime: '{m} is prime: by Lucas\'s theorem the triangle splits into self-similar blocks of {m}, {m}², {m}³… rows, and the nonzero cells form a fractal.',
+      primePower: '{m} is a power of the prime {p}: the fractal structure resembles the one modulo {p}, but with a richer distribution of residues inside each block.',
+      composite: '{m} is composite: the coloring overlays the patterns of its prime factors (Chinese remainder theorem).'
+    },
+    valuation: {
+      title: '{p}-adic valuation heat map',
+      description: 'The darker the cell, the more times {p} divides the binomial coefficient (its {p}-adic valuation). By Kummer\'s theorem this equals the number of carries when adding k + (n-k) in base {p}.',
+      formulaText: '\\text{number of carries in } k + (n-k) \\text{ in base {p}}',
+      legendItem: '{level}: {count}'
+    },
+    kummer: {
+      title: 'Base-{p} addition (Kummer\'s theorem):',
+      carryRow: 'carry',
+      carries: '{count} carries in total, so {formula}.',
+      check: 'Direct check: C({n},{k}) contains exactly {exponent} factors of {p}.'
+    },
+    lucas: {
+      notPrime: '{value} is not prime; Lucas\'s theorem requires a prime modulus.',
+      tooLarge: 'The prime p cannot exceed {max} (got {value}).',
+      divisible: 'Some digit of k is larger than the matching digit of n, so that small binomial coefficient is 0 and {p} divides C({n},{k}).',
+      notDivisible: 'Every digit of k is at most the matching digit of n, so {p} does not divide C({n},{k}).',
+      check: 'Direct computation: C({n},{k}) mod {p} = {residue}',
+      block: 'The highlighted cells lie in the same block of {size} rows as the selected cell: the block is a copy of the top {size} rows, and each number modulo {p} equals the matching top number times C({row},{col}) mod {p} = {factor}.',
+      invertedBlock: 'The selected cell lies in the inverted triangle between two blocks of {size} rows (k mod {size} > n mod {size}): in base p some digit of k exceeds the matching digit of n, so every highlighted number is divisible by {p}.'
+    },
+    series: {
+      polynomial: 'α = {alpha} is a non-negative integer, so every term after term {terms} is 0: this is the ordinary binomial expansion and holds for every x.',
+      infinite: 'α is not a non-negative integer, so the series has infinitely many terms and radius of convergence 1: it converges to (1+x)^α for |x| < 1 and diverges for |x| > 1; at x = 1 it {atOne} (requires α > -1), at x = -1 it {atMinusOne} (requires α ≥ 0).',
+      converges: 'converges',
+      diverges: 'diverges',
+      noRealValue: 'no real value (1+x is negative and α is not an integer)',
+      trueValue: 'True value at x = {x}: (1+x)^α = {value}',
+      termsHeader: 'Terms N',
+      partialSumHeader: 'Partial sum',
+      errorHeader: 'Error'
+    },
+    distribution: {
+      degenerate: 'The variance is 0, so the distribution is concentrated at a single point and cannot be approximated by a normal curve.',
+      maxError: 'Maximum absolute error of the normal approximation N(μ, σ²): max |P(X=k) − φ(k)| = {error}'
+    },
+    galton: {
+      status: 'Row {n}: {dropped} / {total} balls released, {landed} landed in the bins.',
+      legend: 'Orange bars are observed frequencies; the blue line is the exact probability C({n},k)·p<sup>k</sup>(1-p)<sup>{n}-k</sup> (p = {p}{half}). Maximum deviation: {error}',
+      half: ', i.e. C({n},k)/2<sup>{n}</sup>'
+    },
+    construction: {
+      label: 'Step-by-step build:',
+      step: 'step {index} / {count}, row {n}, entry {k}',
+      start: 'starting from row 0',
+      unsupported: 'Step-by-step building only works for flat number triangles with at most {rows} rows.'
+    },
+    presets: {
+      empty: '(no presets yet)'
+    },
+    export: {
+      pngFailed: 'PNG export failed: the browser could not load the generated SVG.',
+      pyramidLayer: 'Pascal\'s pyramid, layer {layer}',
+      header: '{name}, {rows} rows',
+      tikzHeader: '{name}, {rows} rows; requires'
+    }
+  }
+};